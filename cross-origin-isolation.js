@@ -0,0 +1,62 @@
+/**
+ * Cross-Origin Isolation
+ * Cancelling a query interrupts the engine worker through a SharedArrayBuffer,
+ * which browsers only allow on pages served with COOP/COEP headers. Static
+ * hosts can't set those, so this file doubles as a service worker that adds
+ * them: loaded by the page it registers itself and reloads once, and running
+ * as the service worker it rewrites each response's headers.
+ * Lives at the site root so the worker's scope covers index.html
+ */
+
+// Set before the reload, so a browser that still won't isolate the page isn't reloaded again
+const ISOLATION_RELOAD_KEY = 'duckTools.isolationReload';
+
+if (typeof window === 'undefined') {
+    self.addEventListener('install', () => self.skipWaiting());
+    self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+    
+    self.addEventListener('fetch', (event) => {
+        const request = event.request;
+        // Cache-only requests to other origins throw when fetched from a service worker
+        if (request.cache === 'only-if-cached' && request.mode !== 'same-origin') {
+            return;
+        }
+        
+        event.respondWith(fetch(request).then((response) => {
+            // Opaque responses can't be copied
+            if (response.status === 0) {
+                return response;
+            }
+            
+            const headers = new Headers(response.headers);
+            headers.set('Cross-Origin-Opener-Policy', 'same-origin');
+            // credentialless still lets CDN scripts load without CORP headers
+            headers.set('Cross-Origin-Embedder-Policy', 'credentialless');
+            return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+        }));
+    });
+} else if (!window.crossOriginIsolated && window.isSecureContext && 'serviceWorker' in navigator) {
+    navigator.serviceWorker.register(document.currentScript.src).then((registration) => {
+        if (sessionStorage.getItem(ISOLATION_RELOAD_KEY)) {
+            return;
+        }
+        
+        const reload = () => {
+            sessionStorage.setItem(ISOLATION_RELOAD_KEY, 'true');
+            window.location.reload();
+        };
+        
+        if (registration.active) {
+            reload();
+        } else {
+            const worker = registration.installing || registration.waiting;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'activated') {
+                    reload();
+                }
+            });
+        }
+    }).catch((error) => {
+        console.warn('Cross-origin isolation unavailable; running queries cannot be cancelled:', error);
+    });
+}
\ No newline at end of file
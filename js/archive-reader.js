@@ -0,0 +1,215 @@
+/**
+ * Archive Reader
+ * Decompresses gzip files and extracts zip archive members in the browser
+ * using the native DecompressionStream API (no external dependencies)
+ */
+class ArchiveReader {
+    /**
+     * @param {number} maxUncompressedSize - Maximum size in bytes of any decompressed file
+     */
+    constructor(maxUncompressedSize) {
+        this.maxUncompressedSize = maxUncompressedSize;
+    }
+    
+    /**
+     * Check whether a file name looks like a supported archive
+     * @param {string} fileName - File name
+     * @returns {boolean} Is gzip or zip
+     */
+    isArchive(fileName) {
+        return this.isGzip(fileName) || this.isZip(fileName);
+    }
+    
+    /**
+     * @param {string} fileName - File name
+     * @returns {boolean} Is gzip
+     */
+    isGzip(fileName) {
+        return fileName.toLowerCase().endsWith('.gz');
+    }
+    
+    /**
+     * @param {string} fileName - File name
+     * @returns {boolean} Is zip
+     */
+    isZip(fileName) {
+        return fileName.toLowerCase().endsWith('.zip');
+    }
+    
+    /**
+     * Decompress a gzip file
+     * @param {File} file - Gzip-compressed file (e.g. sales.csv.gz)
+     * @returns {Promise<File>} Decompressed file named without the .gz suffix
+     */
+    async gunzip(file) {
+        const innerName = file.name.replace(/\.gz$/i, '');
+        const bytes = await this.decompress(file.stream(), 'gzip', innerName);
+        return new File([bytes], innerName);
+    }
+    
+    /**
+     * List the files contained in a zip archive
+     * @param {File} file - Zip archive
+     * @returns {Promise<Array>} Entries with name, sizes and compression details
+     */
+    async listZipEntries(file) {
+        // Only the end of the archive is read: the end-of-central-directory record, which is
+        // 22 bytes plus an optional comment of up to 64KB, and the central directory it points to
+        const tailStart = Math.max(0, file.size - 22 - 0xFFFF);
+        const tail = new DataView(await file.slice(tailStart).arrayBuffer());
+        const eocdOffset = this.findEndOfCentralDirectory(tail);
+        
+        const entryCount = tail.getUint16(eocdOffset + 10, true);
+        const directorySize = tail.getUint32(eocdOffset + 12, true);
+        const directoryOffset = tail.getUint32(eocdOffset + 16, true);
+        if (entryCount === 0xFFFF || directoryOffset === 0xFFFFFFFF) {
+            throw new Error(`${file.name} is a ZIP64 archive, which is not supported`);
+        }
+        if (directoryOffset + directorySize > file.size) {
+            throw new Error(`${file.name} has a corrupt central directory`);
+        }
+        
+        const buffer = await file.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer();
+        const view = new DataView(buffer);
+        const decoder = new TextDecoder('utf-8');
+        const entries = [];
+        let offset = 0;
+        
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error(`${file.name} has a corrupt central directory`);
+            }
+            
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const uncompressedSize = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localHeaderOffset = view.getUint32(offset + 42, true);
+            const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+            
+            offset += 46 + nameLength + extraLength + commentLength;
+            
+            // Skip folders and macOS resource forks
+            if (path.endsWith('/') || path.startsWith('__MACOSX/')) {
+                continue;
+            }
+            
+            entries.push({
+                path,
+                name: path.split('/').pop(),
+                method,
+                encrypted: (flags & 0x1) !== 0,
+                compressedSize,
+                uncompressedSize,
+                localHeaderOffset,
+                tooLarge: uncompressedSize > this.maxUncompressedSize
+            });
+        }
+        
+        return entries;
+    }
+    
+    /**
+     * Extract a single entry from a zip archive
+     * @param {File} file - Zip archive
+     * @param {Object} entry - Entry returned by listZipEntries
+     * @returns {Promise<File>} Extracted file
+     */
+    async extractZipEntry(file, entry) {
+        if (entry.encrypted) {
+            throw new Error(`${entry.path} is encrypted and cannot be extracted`);
+        }
+        if (entry.tooLarge) {
+            throw new Error(this.sizeLimitMessage(entry.name, entry.uncompressedSize));
+        }
+        
+        // The local header repeats the name and may carry a different extra field length
+        const header = new DataView(await file.slice(entry.localHeaderOffset, entry.localHeaderOffset + 30).arrayBuffer());
+        if (header.getUint32(0, true) !== 0x04034b50) {
+            throw new Error(`${entry.path} has a corrupt local header`);
+        }
+        const dataOffset = entry.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = file.slice(dataOffset, dataOffset + entry.compressedSize);
+        
+        let bytes;
+        if (entry.method === 0) {
+            bytes = new Uint8Array(await data.arrayBuffer());
+        } else if (entry.method === 8) {
+            bytes = await this.decompress(data.stream(), 'deflate-raw', entry.name);
+        } else {
+            throw new Error(`${entry.path} uses an unsupported compression method (${entry.method})`);
+        }
+        
+        return new File([bytes], entry.name);
+    }
+    
+    /**
+     * Locate the end-of-central-directory record at the end of a zip file
+     * @param {DataView} view - The archive's last bytes (at least the last 64KB + 22), or all of it
+     * @returns {number} Byte offset of the record in the view
+     */
+    findEndOfCentralDirectory(view) {
+        // The record is 22 bytes plus an optional comment of up to 64KB
+        const minOffset = Math.max(0, view.byteLength - 22 - 0xFFFF);
+        for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+            if (view.getUint32(offset, true) === 0x06054b50) {
+                return offset;
+            }
+        }
+        throw new Error('Not a valid zip archive');
+    }
+    
+    /**
+     * Decompress a stream, stopping as soon as the output exceeds the size limit
+     * @param {ReadableStream} stream - Compressed data
+     * @param {string} format - DecompressionStream format ('gzip', 'deflate-raw')
+     * @param {string} name - Name of the file being decompressed (for error messages)
+     * @returns {Promise<Uint8Array>} Decompressed bytes
+     */
+    async decompress(stream, format, name) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress files. Please extract the archive first.');
+        }
+        
+        const reader = stream.pipeThrough(new DecompressionStream(format)).getReader();
+        const chunks = [];
+        let total = 0;
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            total += value.length;
+            if (total > this.maxUncompressedSize) {
+                await reader.cancel();
+                throw new Error(this.sizeLimitMessage(name, total, true));
+            }
+            chunks.push(value);
+        }
+        
+        const bytes = new Uint8Array(total);
+        let position = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, position);
+            position += chunk.length;
+        }
+        return bytes;
+    }
+    
+    /**
+     * Build the error shown when a decompressed file is over the limit
+     * @param {string} name - File name
+     * @param {number} size - Uncompressed size in bytes (or bytes seen so far)
+     * @param {boolean} partial - Whether decompression stopped early
+     * @returns {string} Error message
+     */
+    sizeLimitMessage(name, size, partial = false) {
+        const limitMB = Math.round(this.maxUncompressedSize / (1024 * 1024));
+        const sizeMB = (size / (1024 * 1024)).toFixed(1);
+        return `${name} is too large once decompressed (${partial ? 'more than ' : ''}${sizeMB}MB). ` +
+            `The limit is ${limitMB}MB of uncompressed data per file.`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * Cell Range
+ * Parses spreadsheet cell references (B5:K200) and column lists (C, F:H) for
+ * the Excel sheet preview. Rows and columns are 1-based, as in a spreadsheet.
+ */
+class CellRange {
+    /**
+     * Parse a cell range. Either end may leave out its row, and the end may be
+     * left out entirely, to run to the edge of the sheet (e.g. B5:K, B5)
+     * @param {string} text - Range such as "B5:K200"; blank for the whole sheet
+     * @returns {Object} { firstRow, lastRow, firstColumn, lastColumn }, last* null when open-ended
+     * @throws {Error} If the range is not valid
+     */
+    static parse(text) {
+        const range = (text || '').trim().toUpperCase();
+        if (range === '') {
+            return { firstRow: 1, lastRow: null, firstColumn: 1, lastColumn: null };
+        }
+        
+        const match = range.match(/^([A-Z]{1,3})([0-9]*)(?::([A-Z]{1,3})([0-9]*))?$/);
+        if (!match) {
+            throw new Error(`"${text}" is not a cell range like B5:K200`);
+        }
+        
+        const result = {
+            firstRow: match[2] ? parseInt(match[2], 10) : 1,
+            lastRow: match[4] ? parseInt(match[4], 10) : null,
+            firstColumn: CellRange.columnIndex(match[1]),
+            lastColumn: match[3] ? CellRange.columnIndex(match[3]) : null
+        };
+        
+        if (result.firstRow < 1 || (result.lastRow !== null && result.lastRow < result.firstRow)) {
+            throw new Error(`Rows in ${range} are out of order`);
+        }
+        if (result.lastColumn !== null && result.lastColumn < result.firstColumn) {
+            throw new Error(`Columns in ${range} are out of order`);
+        }
+        return result;
+    }
+    
+    /**
+     * Expand a list of columns and column spans, e.g. "C, F:H" -> [C, F, G, H]
+     * @param {string} text - Comma-separated column letters or spans
+     * @returns {Array<string>} Column letters in the order given
+     * @throws {Error} If an entry is not a column or span
+     */
+    static parseColumnList(text) {
+        const columns = [];
+        for (const part of (text || '').split(',')) {
+            const entry = part.trim().toUpperCase();
+            if (entry === '') {
+                continue;
+            }
+            
+            const match = entry.match(/^([A-Z]{1,3})(?::([A-Z]{1,3}))?$/);
+            if (!match) {
+                throw new Error(`"${part.trim()}" is not a column letter or span like F:H`);
+            }
+            
+            const first = CellRange.columnIndex(match[1]);
+            const last = match[2] ? CellRange.columnIndex(match[2]) : first;
+            for (let index = Math.min(first, last); index <= Math.max(first, last); index++) {
+                const letter = CellRange.columnLetter(index);
+                if (!columns.includes(letter)) {
+                    columns.push(letter);
+                }
+            }
+        }
+        return columns;
+    }
+    
+    /**
+     * Convert column letters to a column number (A -> 1, AA -> 27)
+     * @param {string} letters - Column letters
+     * @returns {number} 1-based column number
+     */
+    static columnIndex(letters) {
+        return letters.toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0);
+    }
+    
+    /**
+     * Convert a column number to letters (1 -> A, 27 -> AA)
+     * @param {number} index - 1-based column number
+     * @returns {string} Column letters
+     */
+    static columnLetter(index) {
+        let letters = '';
+        while (index > 0) {
+            const remainder = (index - 1) % 26;
+            letters = String.fromCharCode(65 + remainder) + letters;
+            index = Math.floor((index - 1) / 26);
+        }
+        return letters;
+    }
+    
+    /**
+     * Check whether a cell lies inside a parsed range
+     * @param {Object} range - Result of parse()
+     * @param {number} row - 1-based row
+     * @param {number} column - 1-based column
+     * @returns {boolean} Whether the cell is inside the range
+     */
+    static contains(range, row, column) {
+        return row >= range.firstRow && (range.lastRow === null || row <= range.lastRow) &&
+            column >= range.firstColumn && (range.lastColumn === null || column <= range.lastColumn);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * Chunked Uploader
+ * Reads a File in fixed-size slices and hands each slice to a writer, so large
+ * files never have to be held in memory as a single string or buffer
+ */
+class ChunkedUploader {
+    /**
+     * @param {Object} options - Uploader options
+     * @param {number} options.chunkSize - Bytes read per slice (default 4MB)
+     */
+    constructor(options = {}) {
+        this.chunkSize = options.chunkSize || 4 * 1024 * 1024;
+        this.cancelled = false;
+    }
+    
+    /**
+     * Suggest a per-file size limit from the memory available to this tab.
+     * A loaded file lives in the in-memory filesystem and DuckDB needs working
+     * memory on top of it, so only a quarter of device memory is offered.
+     * @returns {number} Size limit in bytes
+     */
+    static defaultMaxFileSize() {
+        const MB = 1024 * 1024;
+        // navigator.deviceMemory is Chromium-only and capped at 8GB; assume 4GB elsewhere
+        const deviceMemory = (typeof navigator !== 'undefined' && navigator.deviceMemory) || 4;
+        let limit = deviceMemory * 1024 * MB / 4;
+        
+        if (typeof performance !== 'undefined' && performance.memory && performance.memory.jsHeapSizeLimit) {
+            limit = Math.min(limit, performance.memory.jsHeapSizeLimit / 2);
+        }
+        
+        // Round down to a multiple of 64MB, never below 64MB or above 1GB
+        return Math.max(64 * MB, Math.min(1024 * MB, Math.floor(limit / (64 * MB)) * 64 * MB));
+    }
+    
+    /**
+     * Stream a file to a writer in chunks
+     * @param {Blob} file - File to read
+     * @param {Function} writeChunk - Called with each Uint8Array chunk (may be async)
+     * @param {Object} options - Upload options
+     * @param {Function} options.transform - Optional (chunk, isLast) => Uint8Array applied before writing
+     * @param {Function} options.onProgress - Optional (bytesRead, totalBytes) callback
+     * @returns {Promise<number>} Number of bytes read
+     */
+    async upload(file, writeChunk, options = {}) {
+        const { transform, onProgress } = options;
+        this.cancelled = false;
+        
+        let offset = 0;
+        while (offset < file.size) {
+            if (this.cancelled) {
+                throw this.cancelledError(file);
+            }
+            
+            const end = Math.min(offset + this.chunkSize, file.size);
+            let chunk = new Uint8Array(await file.slice(offset, end).arrayBuffer());
+            offset = end;
+            
+            if (transform) {
+                chunk = transform(chunk, offset >= file.size);
+            }
+            if (chunk.length > 0) {
+                await writeChunk(chunk);
+            }
+            
+            if (onProgress) {
+                onProgress(offset, file.size);
+            }
+        }
+        
+        // A cancel during the last write still counts
+        if (this.cancelled) {
+            throw this.cancelledError(file);
+        }
+        
+        return offset;
+    }
+    
+    /**
+     * Stop the current upload before its next chunk is read
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+    
+    /**
+     * Build the error thrown when an upload is cancelled
+     * @param {Blob} file - File being uploaded
+     * @returns {Error} Error named AbortError, like an aborted fetch
+     */
+    cancelledError(file) {
+        const error = new Error(`Upload of ${file.name || 'file'} was cancelled`);
+        error.name = 'AbortError';
+        return error;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,326 @@
+/**
+ * Column Batch
+ * Query results as typed column vectors, decoded from the Arrow IPC buffers the
+ * engine sends. Values keep their SQL types until they are formatted, so 64-bit
+ * integers, decimals, dates and timestamps render and export exactly
+ */
+
+// Microseconds per time unit (Arrow TimeUnit: SECOND, MILLISECOND, MICROSECOND, NANOSECOND)
+const MICROS_PER_TIME_UNIT = [1000000n, 1000n, 1n];
+
+class ColumnBatch {
+    /**
+     * @param {Array<Object>} columns - {name, kind, vector, scale?, unit?, timezone?}; vector needs get(index).
+     *   kind is one of integer, float, decimal, boolean, date, timestamp, time, binary, string, other
+     * @param {number} length - Number of rows in the vectors
+     * @param {Array<number>} [rowIndexes] - Vector rows to show, in order (a slice or sort of another batch)
+     */
+    constructor(columns, length, rowIndexes = null) {
+        this.columns = columns;
+        this.rowIndexes = rowIndexes;
+        this.length = rowIndexes ? rowIndexes.length : length;
+    }
+    
+    /**
+     * Decode an Arrow IPC stream with the apache-arrow library
+     * @param {Uint8Array|null} bytes - IPC stream from the engine; null for statements without results
+     * @returns {ColumnBatch}
+     */
+    static fromArrowIPC(bytes) {
+        if (!bytes) {
+            return new ColumnBatch([], 0);
+        }
+        
+        return ColumnBatch.fromArrowTable(Arrow.tableFromIPC(bytes));
+    }
+    
+    /**
+     * Wrap the columns of an apache-arrow Table, e.g. a DuckDB-WASM query result
+     * @param {Object} table - apache-arrow Table
+     * @returns {ColumnBatch}
+     */
+    static fromArrowTable(table) {
+        const columns = table.schema.fields.map((field, index) => ({
+            name: field.name,
+            vector: table.getChildAt(index),
+            ...ColumnBatch.describeArrowType(field.type)
+        }));
+        return new ColumnBatch(columns, table.numRows);
+    }
+    
+    /**
+     * Map an Arrow data type to the kind of value formatting it needs
+     * @param {Object} type - apache-arrow DataType
+     * @returns {Object} {kind, scale?, unit?, timezone?}
+     */
+    static describeArrowType(type) {
+        const { DataType } = Arrow;
+        // ENUM columns arrive dictionary-encoded; get() already returns the dictionary value
+        if (DataType.isDictionary(type)) {
+            return ColumnBatch.describeArrowType(type.dictionary);
+        }
+        
+        if (DataType.isInt(type)) return { kind: 'integer' };
+        if (DataType.isFloat(type)) return { kind: 'float' };
+        if (DataType.isDecimal(type)) return { kind: 'decimal', scale: type.scale };
+        if (DataType.isBool(type)) return { kind: 'boolean' };
+        if (DataType.isDate(type)) return { kind: 'date' };
+        if (DataType.isTimestamp(type)) return { kind: 'timestamp', timezone: type.timezone };
+        if (DataType.isTime(type)) return { kind: 'time', unit: type.unit };
+        if (DataType.isBinary(type) || DataType.isFixedSizeBinary(type)) return { kind: 'binary' };
+        if (DataType.isUtf8(type)) return { kind: 'string' };
+        return { kind: 'other' };
+    }
+    
+    /**
+     * Column names
+     * @returns {Array<string>}
+     */
+    get columnNames() {
+        return this.columns.map(column => column.name);
+    }
+    
+    /**
+     * Column index by name
+     * @param {string} name - Column name
+     * @returns {number} -1 if there is no such column
+     */
+    columnIndex(name) {
+        return this.columns.findIndex(column => column.name === name);
+    }
+    
+    /**
+     * Typed value of a cell: BigInt for 64-bit integers, the unscaled BigInt for
+     * decimals, epoch milliseconds for dates and timestamps, microseconds (BigInt) for times
+     * @param {number} columnIndex - Column index
+     * @param {number} rowIndex - Row index within this batch
+     * @returns {*} null for NULL
+     */
+    getValue(columnIndex, rowIndex) {
+        const column = this.columns[columnIndex];
+        const value = column.vector.get(this.rowIndexes ? this.rowIndexes[rowIndex] : rowIndex);
+        if (value === null || value === undefined) {
+            return null;
+        }
+        
+        switch (column.kind) {
+            case 'decimal':
+                return ArrayBuffer.isView(value) ? ColumnBatch.decodeDecimal(value) : value;
+            case 'date':
+            case 'timestamp':
+                return value instanceof Date ? value.getTime() : Number(value);
+            case 'time':
+                // Nanosecond times are truncated to the microseconds DuckDB keeps
+                return column.unit === 3 ? BigInt(value) / 1000n : BigInt(value) * MICROS_PER_TIME_UNIT[column.unit];
+            default:
+                return value;
+        }
+    }
+    
+    /**
+     * Format a cell as text
+     * @param {number} columnIndex - Column index
+     * @param {number} rowIndex - Row index within this batch
+     * @param {Object} [options]
+     * @param {boolean} [options.grouped=false] - Group integer and float digits for display (not for export)
+     * @returns {string|null} null for NULL
+     */
+    format(columnIndex, rowIndex, { grouped = false } = {}) {
+        const value = this.getValue(columnIndex, rowIndex);
+        if (value === null) {
+            return null;
+        }
+        
+        const column = this.columns[columnIndex];
+        switch (column.kind) {
+            case 'integer':
+            case 'float':
+                return grouped ? value.toLocaleString() : String(value);
+            case 'decimal':
+                return typeof value === 'bigint' ? ColumnBatch.formatDecimal(value, column.scale) : String(value);
+            case 'date':
+                return new Date(value).toISOString().slice(0, 10);
+            case 'timestamp':
+                return ColumnBatch.formatTimestamp(value) + (column.timezone ? '+00' : '');
+            case 'time':
+                return ColumnBatch.formatTime(value);
+            case 'binary':
+                // As DuckDB prints blobs: printable ASCII as is, other bytes escaped
+                return Array.from(value, byte => byte >= 32 && byte < 127 && byte !== 92
+                    ? String.fromCharCode(byte)
+                    : '\\x' + byte.toString(16).toUpperCase().padStart(2, '0')).join('');
+            default:
+                if (typeof value === 'object') {
+                    const plain = typeof value.toJSON === 'function' ? value.toJSON() : value;
+                    return JSON.stringify(plain, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+                }
+                return String(value);
+        }
+    }
+    
+    /**
+     * Rows as plain objects, for code that works with arrays of rows. Integers and
+     * decimals become numbers when a number holds them exactly and stay text otherwise;
+     * dates, times and nested values become their formatted text
+     * @returns {Array<Object>}
+     */
+    toRows() {
+        const rows = [];
+        for (let row = 0; row < this.length; row++) {
+            const values = {};
+            this.columns.forEach((column, index) => {
+                values[column.name] = this.plainValue(index, row);
+            });
+            rows.push(values);
+        }
+        return rows;
+    }
+    
+    /**
+     * A cell as a plain JavaScript value (see toRows)
+     * @param {number} columnIndex - Column index
+     * @param {number} rowIndex - Row index within this batch
+     * @returns {*}
+     */
+    plainValue(columnIndex, rowIndex) {
+        const value = this.getValue(columnIndex, rowIndex);
+        if (value === null) {
+            return null;
+        }
+        
+        switch (this.columns[columnIndex].kind) {
+            case 'integer':
+            case 'decimal': {
+                const exact = typeof value !== 'bigint' || (value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER));
+                const text = this.format(columnIndex, rowIndex);
+                return exact ? Number(text) : text;
+            }
+            case 'float':
+            case 'boolean':
+            case 'string':
+                return value;
+            default:
+                return this.format(columnIndex, rowIndex);
+        }
+    }
+    
+    /**
+     * Whether a column holds numbers (for right-aligning them)
+     * @param {number} columnIndex - Column index
+     * @returns {boolean}
+     */
+    isNumeric(columnIndex) {
+        return ['integer', 'float', 'decimal'].includes(this.columns[columnIndex].kind);
+    }
+    
+    /**
+     * Rows start..end of this batch, sharing its vectors
+     * @param {number} start - First row
+     * @param {number} end - Row after the last
+     * @returns {ColumnBatch}
+     */
+    slice(start, end) {
+        const rowIndexes = [];
+        for (let row = start; row < Math.min(end, this.length); row++) {
+            rowIndexes.push(this.rowIndexes ? this.rowIndexes[row] : row);
+        }
+        return new ColumnBatch(this.columns, rowIndexes.length, rowIndexes);
+    }
+    
+    /**
+     * This batch sorted by a column, NULLs last, sharing its vectors
+     * @param {string} columnName - Column to sort by
+     * @param {string} direction - 'asc' or 'desc'
+     * @returns {ColumnBatch}
+     */
+    sort(columnName, direction = 'asc') {
+        const columnIndex = this.columnIndex(columnName);
+        if (columnIndex === -1) {
+            return this.slice(0, this.length);
+        }
+        
+        const order = [...Array(this.length).keys()];
+        const sign = direction === 'desc' ? -1 : 1;
+        const values = order.map(row => this.getValue(columnIndex, row));
+        const comparable = ['string', 'other', 'binary'].includes(this.columns[columnIndex].kind)
+            ? order.map(row => this.format(columnIndex, row))
+            : values;
+        
+        order.sort((a, b) => {
+            if (values[a] === null || values[b] === null) {
+                return (values[a] === null) - (values[b] === null);
+            }
+            const x = comparable[a];
+            const y = comparable[b];
+            const result = typeof x === 'string' ? x.localeCompare(y) : (x < y ? -1 : x > y ? 1 : 0);
+            // Equal values keep the query's order
+            return result * sign || a - b;
+        });
+        
+        const rowIndexes = order.map(row => this.rowIndexes ? this.rowIndexes[row] : row);
+        return new ColumnBatch(this.columns, rowIndexes.length, rowIndexes);
+    }
+    
+    /**
+     * Read a little-endian two's complement integer from 32-bit words (Arrow decimals)
+     * @param {Uint32Array} words - Words, least significant first
+     * @returns {bigint}
+     */
+    static decodeDecimal(words) {
+        let unscaled = 0n;
+        for (let i = words.length - 1; i >= 0; i--) {
+            unscaled = (unscaled << 32n) | BigInt(words[i] >>> 0);
+        }
+        return BigInt.asIntN(words.length * 32, unscaled);
+    }
+    
+    /**
+     * Format an unscaled decimal, e.g. (-12345n, 2) => '-123.45'
+     * @param {bigint} unscaled - Value times 10^scale
+     * @param {number} scale - Digits after the decimal point
+     * @returns {string}
+     */
+    static formatDecimal(unscaled, scale) {
+        const sign = unscaled < 0n ? '-' : '';
+        const digits = (unscaled < 0n ? -unscaled : unscaled).toString();
+        if (!scale) {
+            return sign + digits;
+        }
+        
+        const padded = digits.padStart(scale + 1, '0');
+        return `${sign}${padded.slice(0, -scale)}.${padded.slice(-scale)}`;
+    }
+    
+    /**
+     * Format epoch milliseconds as 'YYYY-MM-DD HH:MM:SS[.ffffff]' in UTC
+     * @param {number} milliseconds - May carry microseconds as a fraction
+     * @returns {string}
+     */
+    static formatTimestamp(milliseconds) {
+        const micros = Math.round(milliseconds * 1000);
+        const seconds = Math.floor(micros / 1000000);
+        const text = new Date(seconds * 1000).toISOString().slice(0, 19).replace('T', ' ');
+        return text + ColumnBatch.formatFraction(micros - seconds * 1000000);
+    }
+    
+    /**
+     * Format microseconds since midnight as 'HH:MM:SS[.ffffff]'
+     * @param {bigint} micros
+     * @returns {string}
+     */
+    static formatTime(micros) {
+        const seconds = Number(micros / 1000000n);
+        const pad = (number) => String(number).padStart(2, '0');
+        const text = `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+        return text + ColumnBatch.formatFraction(Number(micros % 1000000n));
+    }
+    
+    /**
+     * Fractional seconds without trailing zeros, e.g. 120000 => '.12'
+     * @param {number} micros - Microseconds within the second
+     * @returns {string}
+     */
+    static formatFraction(micros) {
+        return micros ? '.' + String(micros).padStart(6, '0').replace(/0+$/, '') : '';
+    }
+}
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * Column Types
+ * Type overrides for imported columns, built from the schema editor. The
+ * engines check and convert the values themselves
+ */
+
+// Types offered by the column schema editor
+const COLUMN_TYPES = ['VARCHAR', 'INTEGER', 'BIGINT', 'DOUBLE', 'DECIMAL', 'DATE', 'TIMESTAMP', 'BOOLEAN'];
+
+class ColumnTypes {
+    /**
+     * Build a type override from the editor's type and its "format / precision" field
+     * @param {string} type - One of COLUMN_TYPES
+     * @param {string} detail - DATE/TIMESTAMP format (e.g. %d/%m/%Y) or DECIMAL precision,scale (e.g. 10,2)
+     * @returns {Object} Override such as {type: 'DECIMAL(10,2)'} or {type: 'DATE', format: '%d/%m/%Y'}
+     */
+    static buildOverride(type, detail = '') {
+        const text = (detail || '').trim();
+        
+        if (type === 'DECIMAL') {
+            const match = /^(\d+)\s*(?:,\s*(\d+))?$/.exec(text || '18,3');
+            if (!match) {
+                throw new Error('DECIMAL needs a precision and scale, e.g. 10,2');
+            }
+            const precision = parseInt(match[1], 10);
+            const scale = parseInt(match[2] || '0', 10);
+            if (precision < 1 || precision > 38 || scale > precision) {
+                throw new Error('DECIMAL precision must be 1-38 and scale no larger than precision');
+            }
+            return { type: `DECIMAL(${precision},${scale})` };
+        }
+        
+        if (!COLUMN_TYPES.includes(type)) {
+            throw new Error(`Unsupported type ${type}`);
+        }
+        if (text && type !== 'DATE' && type !== 'TIMESTAMP') {
+            throw new Error(`${type} does not take a format`);
+        }
+        return text ? { type, format: text } : { type };
+    }
+}
\ No newline at end of file
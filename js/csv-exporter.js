@@ -67,6 +67,51 @@ class CSVExporter {
         return csv;
     }
     
+    /**
+     * Export typed result columns to CSV file
+     * @param {ColumnBatch} batch - Columns to export
+     * @param {string} filename - Optional filename
+     */
+    exportColumns(batch, filename = this.defaultFilename) {
+        try {
+            if (!batch || batch.columns.length === 0) {
+                throw new Error('No data to export');
+            }
+            
+            console.log(`Exporting ${batch.length} rows to CSV`);
+            this.downloadCSV(this.convertColumnsToCSV(batch), filename);
+            console.log(`Successfully exported to ${filename}`);
+            
+        } catch (error) {
+            console.error('Export failed:', error);
+            throw new Error(`Export failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Convert typed result columns to CSV string. Values are written exactly as
+     * their SQL types hold them: full 64-bit integers, decimals at their scale, ISO dates
+     * @param {ColumnBatch} batch - Columns to convert
+     * @param {boolean} includeHeaders - Start with a header row (false for later pages of one export)
+     * @returns {string} CSV formatted string
+     */
+    convertColumnsToCSV(batch, includeHeaders = true) {
+        let csv = '';
+        
+        if (includeHeaders) {
+            csv += this.formatCSVRow(batch.columnNames.map(name => this.formatCSVValue(name)));
+            csv += '\n';
+        }
+        
+        for (let row = 0; row < batch.length; row++) {
+            const values = batch.columns.map((column, index) => this.formatCSVValue(batch.format(index, row)));
+            csv += this.formatCSVRow(values);
+            csv += '\n';
+        }
+        
+        return csv;
+    }
+    
     /**
      * Format a single CSV row
      * @param {Array} values - Array of values for the row
@@ -108,13 +153,13 @@ class CSVExporter {
     
     /**
      * Download CSV content as file
-     * @param {string} csvContent - CSV content to download
+     * @param {string|Array<string>} csvContent - CSV content to download, or its parts in order
      * @param {string} filename - Filename for download
      */
     downloadCSV(csvContent, filename) {
         // Create blob with UTF-8 BOM for Excel compatibility
         const BOM = '\uFEFF';
-        const blob = new Blob([BOM + csvContent], {
+        const blob = new Blob([BOM, ...[].concat(csvContent)], {
             type: 'text/csv;charset=utf-8;'
         });
         
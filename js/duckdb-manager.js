@@ -1,41 +1,64 @@
 /**
- * DuckDB-WASM Manager
- * Handles database initialization, CSV loading, and query execution
+ * DuckDB Manager
+ * Handles database initialization, file loading, and query execution on top of
+ * the page's Engine, so it works the same on either backend. Engine failures
+ * are thrown as errors
  */
 class DuckDBManager {
-    constructor() {
+    /**
+     * @param {Engine} [engine] - Started engine to use; by default the page's shared engine
+     */
+    constructor(engine = null) {
+        this.engine = engine;
         this.db = null;
         this.conn = null;
         this.isInitialized = false;
+        this.loadedTables = new Set();
     }
     
     /**
-     * Initialize DuckDB-WASM (Simple Mode)
+     * Initialize the engine
+     * @param {Function} onStatus - Called with loading status messages
      * @returns {Promise<boolean>} Success status
      */
-    async initialize() {
+    async initialize(onStatus = () => {}) {
         try {
-            console.log('Initializing DuckDB-WASM...');
+            console.log('Initializing DuckDB...');
             
-            // Use the simple CSV processing interface
-            if (!window.duckdb || !window.duckdbReady) {
-                throw new Error('CSV Tools not ready. Please wait for initialization to complete.');
+            if (!this.engine) {
+                this.engine = await Engine.shared(onStatus);
             }
             
-            // Use the simple interface directly
-            this.db = window.duckdb;
-            this.conn = this.db; // Simple mode doesn't need separate connection
+            // The engine is both the database and the connection
+            this.db = this.engine;
+            this.conn = this.engine;
             
             this.isInitialized = true;
-            console.log('DuckDB-WASM initialized successfully');
+            console.log(`DuckDB initialized successfully (${this.engine.name} engine)`);
             return true;
-            
+        
         } catch (error) {
-            console.error('Failed to initialize DuckDB-WASM:', error);
+            console.error('Failed to initialize DuckDB:', error);
             throw new Error(`DuckDB initialization failed: ${error.message}`);
         }
     }
     
+    /**
+     * Load a file through the engine under a given table name
+     * @param {File} file - File object
+     * @param {string} tableName - Name for the table
+     * @returns {Promise<string>} Table name
+     */
+    async loadFile(file, tableName) {
+        const result = await this.engine.loadFile(file, { tableName });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        this.loadedTables.add(result.table_name);
+        return result.table_name;
+    }
+    
     /**
      * Load CSV file into DuckDB table
      * @param {File} file - CSV file object
@@ -50,24 +73,50 @@ class DuckDBManager {
         try {
             console.log(`Loading CSV file: ${file.name} as table: ${tableName}`);
             
-            // Use the simple loadCSV method
-            await this.db.loadCSV(file, tableName);
-            
-            console.log(`Successfully loaded ${tableName}`);
-            return tableName;
+            const loadedName = await this.loadFile(file, tableName);
             
+            console.log(`Successfully loaded ${loadedName}`);
+            return loadedName;
+        
         } catch (error) {
             console.error(`Failed to load CSV file ${file.name}:`, error);
             throw new Error(`Failed to load CSV: ${error.message}`);
         }
     }
     
+    /**
+     * Load Parquet file into DuckDB table
+     * @param {File} file - Parquet file object
+     * @param {string} tableName - Name for the table
+     * @returns {Promise<string>} Table name
+     */
+    async loadParquet(file, tableName) {
+        if (!this.isInitialized) {
+            throw new Error('DuckDB not initialized');
+        }
+        
+        try {
+            console.log(`Loading Parquet file: ${file.name} as table: ${tableName}`);
+            
+            // Parquet keeps its native column types, no inference needed
+            const loadedName = await this.loadFile(file, tableName);
+            
+            console.log(`Successfully loaded ${loadedName}`);
+            return loadedName;
+        
+        } catch (error) {
+            console.error(`Failed to load Parquet file ${file.name}:`, error);
+            throw new Error(`Failed to load Parquet: ${error.message}`);
+        }
+    }
+    
     /**
      * Execute SQL query
      * @param {string} sql - SQL query string
+     * @param {Object} parameters - Values for its named parameters: {name: {type, value}}
      * @returns {Promise<Array>} Query results as array of objects
      */
-    async runQuery(sql) {
+    async runQuery(sql, parameters = {}) {
         if (!this.isInitialized) {
             throw new Error('DuckDB not initialized');
         }
@@ -75,17 +124,42 @@ class DuckDBManager {
         try {
             console.log(`Executing query: ${sql.substring(0, 100)}${sql.length > 100 ? '...' : ''}`);
             
-            const resultArray = await this.db.runQuery(sql);
+            const result = await this.engine.runQuery(sql, 0, { parameters });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            const resultArray = (await result.fetchPage(0, result.rows)).toRows();
             
             console.log(`Query returned ${resultArray.length} rows`);
             return resultArray;
-            
+        
         } catch (error) {
             console.error('Query execution failed:', error);
             throw new Error(`SQL Error: ${error.message}`);
         }
     }
     
+    /**
+     * Whether a running query can be interrupted
+     * @returns {boolean}
+     */
+    get canCancel() {
+        return this.isInitialized && this.engine.canCancel;
+    }
+    
+    /**
+     * Interrupt the running query. Loaded tables are kept
+     * @returns {boolean} Whether an interrupt was sent
+     */
+    cancelQuery() {
+        if (!this.canCancel) {
+            return false;
+        }
+        
+        console.log('Cancelling query');
+        return this.engine.cancel();
+    }
+    
     /**
      * Get table schema information
      * @param {string} tableName - Name of the table
@@ -97,25 +171,52 @@ class DuckDBManager {
         }
         
         try {
-            // For simple mode, return basic column info from first row
-            const table = window.csvTables.get(tableName);
-            if (!table || table.length === 0) {
-                return [];
+            const result = await this.engine.describeTable(tableName);
+            if (!result.success) {
+                throw new Error(result.error);
             }
             
-            const firstRow = table[0];
-            const columns = Object.keys(firstRow).map(column => ({
-                column_name: column,
-                column_type: 'VARCHAR', // Simple mode treats all as text
+            return result.columns.map(column => ({
+                column_name: column.name,
+                column_type: column.type,
                 null: 'YES'
             }));
-            
-            return columns;
         } catch (error) {
             throw new Error(`Failed to get table info: ${error.message}`);
         }
     }
     
+    /**
+     * Override column types. Nothing changes if any value fails to convert
+     * @param {string} tableName - Name of the table
+     * @param {Object} overrides - Column name -> override from ColumnTypes.buildOverride()
+     * @returns {Promise<{success: boolean, errors: Array}>} Conversion failures per column
+     */
+    async setColumnTypes(tableName, overrides) {
+        if (!this.isInitialized) {
+            throw new Error('DuckDB not initialized');
+        }
+        
+        // Overrides are kept per table; the engine takes the full set each time
+        const current = await this.engine.describeTable(tableName);
+        if (!current.success) {
+            throw new Error(current.error);
+        }
+        const merged = {};
+        current.columns.filter(column => column.override).forEach(column => {
+            merged[column.name] = column.override;
+        });
+        
+        const result = await this.engine.setColumnTypes(tableName, { ...merged, ...overrides });
+        if (result.column_errors) {
+            return { success: false, errors: result.column_errors };
+        }
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return { success: true, errors: [] };
+    }
+    
     /**
      * List all available tables
      * @returns {Promise<Array>} List of table names
@@ -126,7 +227,8 @@ class DuckDBManager {
         }
         
         try {
-            return await this.db.listTables();
+            const info = await this.engine.listTables();
+            return Object.keys(info.tables);
         } catch (error) {
             throw new Error(`Failed to list tables: ${error.message}`);
         }
@@ -143,7 +245,11 @@ class DuckDBManager {
         }
         
         try {
-            return await this.db.getRowCount(tableName);
+            const info = await this.engine.listTables();
+            if (!info.tables[tableName]) {
+                throw new Error(`Table ${tableName} not found`);
+            }
+            return info.tables[tableName].rows;
         } catch (error) {
             throw new Error(`Failed to get row count: ${error.message}`);
         }
@@ -160,7 +266,11 @@ class DuckDBManager {
         }
         
         try {
-            await this.db.dropTable(tableName);
+            const result = await this.engine.dropTable(tableName);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.loadedTables.delete(tableName);
             console.log(`Dropped table: ${tableName}`);
         } catch (error) {
             throw new Error(`Failed to drop table: ${error.message}`);
@@ -168,18 +278,42 @@ class DuckDBManager {
     }
     
     /**
-     * Close the database connection
+     * Rename a table
+     * @param {string} tableName - Current table name
+     * @param {string} newName - New table name
+     * @returns {Promise<void>}
      */
-    async close() {
+    async renameTable(tableName, newName) {
+        if (!this.isInitialized) {
+            throw new Error('DuckDB not initialized');
+        }
+        
         try {
-            if (this.conn) {
-                await this.conn.close();
-                this.conn = null;
+            const result = await this.engine.renameTable(tableName, newName);
+            if (!result.success) {
+                throw new Error(result.error);
             }
-            if (this.db) {
-                await this.db.terminate();
-                this.db = null;
+            if (this.loadedTables.delete(tableName)) {
+                this.loadedTables.add(newName);
+            }
+            console.log(`Renamed table: ${tableName} → ${newName}`);
+        } catch (error) {
+            throw new Error(`Failed to rename table: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Drop the tables this manager loaded and let go of the engine, which stays
+     * running for the rest of the page
+     */
+    async close() {
+        try {
+            for (const tableName of this.loadedTables) {
+                await this.engine.dropTable(tableName);
             }
+            this.loadedTables.clear();
+            this.db = null;
+            this.conn = null;
             this.isInitialized = false;
             console.log('DuckDB connection closed');
         } catch (error) {
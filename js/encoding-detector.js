@@ -0,0 +1,130 @@
+/**
+ * Encoding Detector
+ * Guesses the text encoding of an uploaded file from its first bytes and
+ * transcodes chunks to UTF-8 before they reach DuckDB
+ */
+
+// Detection only looks at the start of the file
+const ENCODING_SAMPLE_BYTES = 1024 * 1024;
+
+// Byte-frequency checks (UTF-16 zeros, Shift-JIS pairs) use a smaller window
+const ENCODING_HEURISTIC_BYTES = 64 * 1024;
+
+class EncodingDetector {
+    /**
+     * Read the bytes that detection looks at
+     * @param {Blob} file - File to sample
+     * @returns {Promise<Uint8Array>}
+     */
+    static async readSample(file) {
+        return new Uint8Array(await file.slice(0, ENCODING_SAMPLE_BYTES).arrayBuffer());
+    }
+    
+    /**
+     * Guess the encoding: byte order mark, then UTF-16 zero bytes, then strict
+     * UTF-8, then Shift-JIS, falling back to Windows-1252
+     * @param {Uint8Array} bytes - Start of the file
+     * @returns {{encoding: string, method: string}} method is 'bom' or 'heuristic'
+     */
+    static detect(bytes) {
+        // Byte order marks are authoritative
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { encoding: 'utf-8', method: 'bom' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { encoding: 'utf-16le', method: 'bom' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { encoding: 'utf-16be', method: 'bom' };
+        }
+        
+        const sample = bytes.subarray(0, ENCODING_HEURISTIC_BYTES);
+        
+        // UTF-16 without a BOM: mostly-ASCII text leaves every other byte zero
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] === 0) {
+                if (i % 2 === 0) evenZeros++;
+                else oddZeros++;
+            }
+        }
+        const pairs = sample.length / 2;
+        if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) {
+            return { encoding: 'utf-16le', method: 'heuristic' };
+        }
+        if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) {
+            return { encoding: 'utf-16be', method: 'heuristic' };
+        }
+        
+        // Anything that decodes cleanly as UTF-8 is treated as UTF-8
+        // (streaming mode tolerates a character cut off at the end of the sample)
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return { encoding: 'utf-8', method: 'heuristic' };
+        } catch (e) {
+            // Not UTF-8, fall through to legacy encodings
+        }
+        
+        if (EncodingDetector.looksLikeShiftJIS(sample)) {
+            return { encoding: 'shift_jis', method: 'heuristic' };
+        }
+        
+        // Windows-1252 is the most common legacy export encoding (and a superset of Latin-1)
+        return { encoding: 'windows-1252', method: 'heuristic' };
+    }
+    
+    /**
+     * Whether the bytes read as Shift-JIS double-byte text
+     * @param {Uint8Array} bytes - Bytes to check
+     * @returns {boolean}
+     */
+    static looksLikeShiftJIS(bytes) {
+        // Count double-byte sequences; "strong" ones are unlikely in Latin text,
+        // where an accented letter is usually followed by plain ASCII
+        let totalPairs = 0;
+        let strongPairs = 0;
+        for (let i = 0; i < bytes.length - 1; i++) {
+            const lead = bytes[i];
+            const trail = bytes[i + 1];
+            const isLead = (lead >= 0x81 && lead <= 0x9F) || (lead >= 0xE0 && lead <= 0xFC);
+            const isTrail = (trail >= 0x40 && trail <= 0x7E) || (trail >= 0x80 && trail <= 0xFC);
+            if (isLead && isTrail) {
+                totalPairs++;
+                if (lead <= 0x9F || trail >= 0x80) strongPairs++;
+                i++;
+            }
+        }
+        if (totalPairs === 0 || strongPairs / totalPairs < 0.5) {
+            return false;
+        }
+        
+        try {
+            new TextDecoder('shift_jis', { fatal: true }).decode(bytes);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    /**
+     * Chunk transform that decodes with the given encoding and re-encodes as UTF-8,
+     * counting characters that could not be decoded. TextDecoder strips a matching
+     * BOM, so DuckDB always receives clean UTF-8.
+     * @param {string} encoding - Source encoding
+     * @returns {{replacementCount: number, transform: function(Uint8Array, boolean): Uint8Array}}
+     */
+    static createTranscoder(encoding) {
+        const decoder = new TextDecoder(encoding);
+        const encoder = new TextEncoder();
+        const transcoder = {
+            replacementCount: 0,
+            transform(chunk, isLast) {
+                const text = decoder.decode(chunk, { stream: !isLast });
+                transcoder.replacementCount += (text.match(/\uFFFD/g) || []).length;
+                return encoder.encode(text);
+            }
+        };
+        return transcoder;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * Engine Client
+ * Runs the Pyodide/DuckDB engine in a Web Worker so long queries don't freeze
+ * the page, forwards method calls to it and interrupts the running call on cancel
+ */
+
+// Pyodide release loaded inside the worker (0.27 is the first to ship pyarrow)
+const PYODIDE_URL = 'https://cdn.jsdelivr.net/pyodide/v0.27.7/full/';
+
+// Written to the interrupt buffer to raise KeyboardInterrupt in the running Python code
+const SIGINT = 2;
+
+/**
+ * Body of the engine worker. It is serialized into a Blob URL rather than
+ * loaded from its own file so the worker also starts when the page is opened
+ * from file://
+ */
+function engineWorkerMain() {
+    let pyodide = null;
+    let csvTools = null;
+    let interruptBuffer = null;
+    
+    // Values toJs has no conversion for: bytes (Arrow IPC results) become a Uint8Array copy,
+    // numpy scalars numbers, anything else its str()
+    function plainValue(value) {
+        if (value.type === 'bytes') {
+            const buffer = value.getBuffer('u8');
+            try {
+                return buffer.data.slice();
+            } finally {
+                buffer.release();
+            }
+        }
+        
+        const item = value.item;
+        if (typeof item !== 'function') {
+            return value.toString();
+        }
+        try {
+            const plain = item();
+            return plain instanceof pyodide.ffi.PyProxy ? toPlain(plain) : plain;
+        } finally {
+            item.destroy();
+        }
+    }
+    
+    function toPlain(value) {
+        if (!(value instanceof pyodide.ffi.PyProxy)) {
+            return value;
+        }
+        try {
+            return value.toJs({ dict_converter: Object.fromEntries, create_pyproxies: false, default_converter: plainValue });
+        } finally {
+            value.destroy();
+        }
+    }
+    
+    async function start(message) {
+        importScripts(`${message.indexURL}pyodide.js`);
+        self.postMessage({ type: 'status', message: 'Loading Python runtime...' });
+        pyodide = await loadPyodide({ indexURL: message.indexURL });
+        
+        self.postMessage({ type: 'status', message: 'Loading DuckDB...' });
+        await pyodide.loadPackage(message.packages);
+        
+        if (message.interruptBuffer) {
+            interruptBuffer = message.interruptBuffer;
+            pyodide.setInterruptBuffer(interruptBuffer);
+        }
+        
+        self.postMessage({ type: 'status', message: 'Initializing DuckDB...' });
+        pyodide.runPython(message.source);
+        csvTools = pyodide.globals.get('csv_tools');
+    }
+    
+    self.onmessage = async (event) => {
+        const message = event.data;
+        
+        if (message.type === 'init') {
+            try {
+                await start(message);
+                self.postMessage({ type: 'ready' });
+            } catch (error) {
+                self.postMessage({ type: 'failed', error: error.message });
+            }
+            return;
+        }
+        
+        // Calls run one at a time in the order they were sent
+        try {
+            if (interruptBuffer) {
+                interruptBuffer[0] = 0;
+            }
+            const result = toPlain(csvTools[message.method](...message.args));
+            // Hand Arrow buffers over rather than copying them
+            const buffers = result && typeof result === 'object'
+                ? Object.values(result).filter(value => value instanceof Uint8Array).map(value => value.buffer)
+                : [];
+            self.postMessage({ type: 'result', id: message.id, result }, buffers);
+        } catch (error) {
+            self.postMessage({ type: 'error', id: message.id, error: error.message });
+        }
+    };
+}
+
+class EngineClient {
+    constructor() {
+        this.worker = null;
+        this.nextId = 1;
+        this.pending = new Map();
+        
+        // Interrupting needs memory shared with the worker, which browsers only allow on cross-origin isolated pages
+        this.interruptBuffer = typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated
+            ? new Uint8Array(new SharedArrayBuffer(1))
+            : null;
+    }
+    
+    /**
+     * Whether cancel() can interrupt a running call
+     * @returns {boolean}
+     */
+    get canCancel() {
+        return this.interruptBuffer !== null;
+    }
+    
+    /**
+     * Start the worker, load Pyodide and run the engine's Python code in it
+     * @param {string} pythonSource - Python code that defines a global csv_tools object
+     * @param {Array<string>} packages - Pyodide packages to load first
+     * @param {Function} onStatus - Called with loading status messages
+     * @returns {Promise<void>} Resolves once csv_tools is ready
+     */
+    start(pythonSource, packages, onStatus = () => {}) {
+        const workerSource = new Blob([`(${engineWorkerMain.toString()})();`], { type: 'text/javascript' });
+        this.worker = new Worker(URL.createObjectURL(workerSource));
+        
+        return new Promise((resolve, reject) => {
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'status') {
+                    onStatus(message.message);
+                } else if (message.type === 'ready') {
+                    resolve();
+                } else if (message.type === 'failed') {
+                    reject(new Error(message.error));
+                } else {
+                    this.settle(message);
+                }
+            };
+            this.worker.onerror = (event) => reject(new Error(event.message || 'The engine worker failed to start'));
+            this.worker.postMessage({
+                type: 'init',
+                source: pythonSource,
+                packages,
+                indexURL: PYODIDE_URL,
+                interruptBuffer: this.interruptBuffer
+            });
+        });
+    }
+    
+    /**
+     * Call a csv_tools method in the worker
+     * @param {string} method - Method name
+     * @param {...*} args - Arguments; must be structured-cloneable
+     * @returns {Promise<*>} The method's result converted to plain JavaScript values
+     */
+    call(method, ...args) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'call', id, method, args });
+        });
+    }
+    
+    /**
+     * Resolve or reject the pending call a worker message answers
+     * @param {Object} message - {type: 'result'|'error', id, result|error}
+     */
+    settle(message) {
+        const call = this.pending.get(message.id);
+        if (!call) return;
+        
+        this.pending.delete(message.id);
+        if (message.type === 'result') {
+            call.resolve(message.result);
+        } else {
+            call.reject(new Error(message.error));
+        }
+    }
+    
+    /**
+     * Interrupt the call the worker is running. The engine and its tables stay loaded
+     * @returns {boolean} Whether an interrupt was sent
+     */
+    cancel() {
+        if (!this.canCancel || this.pending.size === 0) {
+            return false;
+        }
+        this.interruptBuffer[0] = SIGINT;
+        return true;
+    }
+    
+    /**
+     * An object whose methods forward to call(), e.g. proxy().execute_query(sql)
+     * @returns {Proxy}
+     */
+    proxy() {
+        return new Proxy({}, {
+            // Anything but method names stays undefined, so the proxy isn't mistaken for a promise
+            get: (target, method) => typeof method !== 'string' || method === 'then'
+                ? undefined
+                : (...args) => this.call(method, ...args)
+        });
+    }
+}
\ No newline at end of file
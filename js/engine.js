@@ -0,0 +1,229 @@
+/**
+ * Engine
+ * The database behind the UI, with one adapter per backend: PyodideEngine runs
+ * DuckDB's Python package in a Pyodide worker, WasmEngine runs native DuckDB-WASM.
+ * The backend is chosen at startup and everything else talks to this interface,
+ * whose methods answer like the Python engine: {success, error?, ...}
+ *
+ *   start(onStatus)                      load the backend
+ *   loadFile(file, {tableName, hasHeaders})  CSV, Parquet or JSON file -> table
+ *   runQuery(sql, pageSize, {keepResults, parameters})  {rows, columns, page, fetchPage(offset, limit, sortColumn, sortDirection)}
+ *   runScript(statements, pageSize, {stopOnError, onStatement, parameters})  [{statement, result, elapsed}]
+ *   explain(sql, {analyze, parameters})  {plan: QueryPlan}
+ *   describeTable(tableName)             {columns: [{name, type, detected_type, override}]}
+ *   listTables()                         {tables: {name: {filename, file_type, rows, columns, ...}}, count}
+ *   dropTable(tableName), renameTable(tableName, newName), setColumnTypes(tableName, overrides)
+ *   exportCSV(result, sortColumn, sortDirection)  {parts, rows}
+ *   cancel(), canCancel
+ *
+ * Named parameters (:name, $name) are bound as values: parameters is {name: {type, value}}
+ * with type text, number, date or timestamp (see QueryParameters)
+ *
+ * Tools only the Python engine has (Excel sheets, import settings, keep in memory...)
+ * are reached through engine.tools, which is null on other backends
+ */
+
+// Saved backend choice; ?engine=pyodide or ?engine=wasm in the page URL changes it
+const ENGINE_STORAGE_KEY = 'duckTools.engine';
+
+// Rows fetched per page when exporting a whole result
+const EXPORT_PAGE_SIZE = 50000;
+
+let sharedEngine = null;
+
+class Engine {
+    /**
+     * Pick the backend: the one asked for in the URL (remembered for next time), else
+     * the saved one, else Pyodide on pages that embed the Python engine and DuckDB-WASM elsewhere
+     * @returns {string} 'pyodide' or 'wasm'
+     */
+    static choose() {
+        const requested = new URLSearchParams(window.location.search).get('engine');
+        if (requested === 'pyodide' || requested === 'wasm') {
+            localStorage.setItem(ENGINE_STORAGE_KEY, requested);
+        }
+        
+        const choice = requested || localStorage.getItem(ENGINE_STORAGE_KEY);
+        const hasPython = document.getElementById('python-code') !== null;
+        if (choice === 'wasm' || (choice === 'pyodide' && hasPython)) {
+            return choice;
+        }
+        return hasPython ? 'pyodide' : 'wasm';
+    }
+    
+    /**
+     * Create an engine for a backend
+     * @param {string} name - 'pyodide' or 'wasm'
+     * @returns {Engine} Engine that still needs start()
+     */
+    static create(name) {
+        return name === 'wasm' ? new WasmEngine() : new PyodideEngine();
+    }
+    
+    /**
+     * The page's engine, created for the chosen backend and started on first use
+     * @param {Function} onStatus - Called with loading status messages
+     * @returns {Promise<Engine>}
+     */
+    static shared(onStatus = () => {}) {
+        if (!sharedEngine) {
+            const engine = Engine.create(Engine.choose());
+            sharedEngine = engine.start(onStatus).then(() => engine);
+            // A failed start can be retried
+            sharedEngine.catch(() => { sharedEngine = null; });
+        }
+        return sharedEngine;
+    }
+    
+    /**
+     * Python engine methods for backend-specific tools, or null
+     * @returns {Object|null}
+     */
+    get tools() {
+        return null;
+    }
+    
+    /**
+     * Whether cancel() can interrupt a running query
+     * @returns {boolean}
+     */
+    get canCancel() {
+        return false;
+    }
+    
+    /**
+     * Interrupt the running query. Loaded tables are kept
+     * @returns {boolean} Whether an interrupt was sent
+     */
+    cancel() {
+        return false;
+    }
+    
+    /**
+     * Run statements one after another, each with its own result. Every result stays
+     * pageable until the next query or script. A cancelled statement ends the script
+     * @param {Array<{sql: string, line: number}>} statements - From SQLScript.split()
+     * @param {number} pageSize - Rows in the first page of each result
+     * @param {Object} options
+     * @param {boolean} [options.stopOnError=true] - Skip the statements after one that fails
+     * @param {Function} [options.onStatement] - Called with (index, statement) before each one runs
+     * @param {Object} [options.parameters] - Values for the named parameters of every statement
+     * @returns {Promise<Array<Object>>} {statement, result, elapsed (ms)} for each statement that ran
+     */
+    async runScript(statements, pageSize, { stopOnError = true, onStatement = () => {}, parameters = {} } = {}) {
+        const outcomes = [];
+        for (const [index, statement] of statements.entries()) {
+            onStatement(index, statement);
+            
+            const startedAt = performance.now();
+            let result;
+            try {
+                result = await this.runQuery(statement.sql, pageSize, { keepResults: index > 0, parameters });
+            } catch (error) {
+                result = { success: false, error: error.message, query: statement.sql };
+            }
+            outcomes.push({ statement, result, elapsed: performance.now() - startedAt });
+            
+            if (result.cancelled || (!result.success && stopOnError)) {
+                break;
+            }
+        }
+        return outcomes;
+    }
+    
+    /**
+     * The plan of a statement, from EXPLAIN, or with its actual row counts and
+     * operator times from EXPLAIN ANALYZE, which runs it. Current results stay pageable
+     * @param {string} sql - One statement
+     * @param {Object} [options]
+     * @param {boolean} [options.analyze=false] - Run the statement and profile it
+     * @param {Object} [options.parameters] - Values for its named parameters
+     * @returns {Promise<Object>} {success, plan: QueryPlan, query} or {success: false, cancelled?, error}
+     */
+    async explain(sql, { analyze = false, parameters = {} } = {}) {
+        const explainSQL = `EXPLAIN (${analyze ? 'ANALYZE, ' : ''}FORMAT JSON) ${sql}`;
+        const result = await this.runQuery(explainSQL, 10, { keepResults: true, parameters });
+        if (!result.success) {
+            return result;
+        }
+        
+        try {
+            const text = result.page.format(result.page.columnIndex('explain_value'), 0);
+            return { success: true, plan: QueryPlan.fromJSON(text, analyze), query: sql };
+        } catch (error) {
+            console.error('Failed to read the query plan:', error);
+            return { success: false, error: `Couldn't read the query plan: ${error.message}`, query: sql };
+        }
+    }
+    
+    /**
+     * Rewrite a statement's named parameters to an engine's placeholders
+     * @param {string} sql - Statement
+     * @param {Object} parameters - {name: {type, value}}, possibly for other statements too
+     * @param {Function} placeholder - Called with (name, parameter) for each use, returns its placeholder
+     * @returns {{sql: string, values: Object}} The rewritten statement and the values it uses
+     * @throws {Error} If a parameter has no value
+     */
+    static bindParameters(sql, parameters, placeholder) {
+        const values = {};
+        const rewritten = SQLScript.replaceParameters(sql, name => {
+            if (!parameters[name]) {
+                throw new Error(`No value given for parameter ${name}`);
+            }
+            values[name] = parameters[name];
+            return placeholder(name, parameters[name]);
+        });
+        return { sql: rewritten, values };
+    }
+    
+    /**
+     * Query result whose rows are all in the page already, paged and sorted here
+     * @param {ColumnBatch} batch - Every row of the result
+     * @param {string} sql - The query
+     * @param {number} pageSize - Rows in the first page
+     * @returns {Object} runQuery() result
+     */
+    static localResult(batch, sql, pageSize) {
+        let sorted = { key: null, rows: batch };
+        return {
+            success: true,
+            rows: batch.length,
+            columns: batch.columnNames,
+            page: batch.slice(0, pageSize),
+            fetchPage: async (offset, limit, sortColumn, sortDirection) => {
+                const key = sortColumn ? `${sortDirection} ${sortColumn}` : null;
+                if (key !== sorted.key) {
+                    sorted = { key, rows: sortColumn ? batch.sort(sortColumn, sortDirection) : batch };
+                }
+                return sorted.rows.slice(offset, offset + limit);
+            },
+            query: sql
+        };
+    }
+    
+    /**
+     * Convert every row of a query result to CSV, a page at a time, in the order shown
+     * @param {Object} result - runQuery() result
+     * @param {string|null} sortColumn - Column the results are sorted by
+     * @param {string} sortDirection - 'asc' or 'desc'
+     * @param {CSVExporter} exporter - Formats the CSV
+     * @returns {Promise<Object>} {success, parts: CSV text in order, rows}
+     */
+    async exportCSV(result, sortColumn = null, sortDirection = 'asc', exporter = new CSVExporter()) {
+        try {
+            const parts = [];
+            let rows = 0;
+            let page;
+            do {
+                page = await result.fetchPage(rows, EXPORT_PAGE_SIZE, sortColumn, sortDirection);
+                parts.push(exporter.convertColumnsToCSV(page, rows === 0));
+                rows += page.length;
+            } while (page.length > 0 && rows < result.rows);
+            
+            return { success: true, parts, rows };
+        } catch (error) {
+            console.error('Failed to export results:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
\ No newline at end of file
@@ -2,12 +2,23 @@
  * File Handler
  * Manages file uploads using Dropzone.js and integrates with DuckDB
  */
+
+// Supported upload extensions (.gz and .zip archives are unpacked on upload)
+const SUPPORTED_EXTENSIONS = ['.csv', '.parquet', '.gz', '.zip'];
+
 class FileHandler {
-    constructor(duckdbManager) {
+    /**
+     * @param {DuckDBManager} duckdbManager - Database manager
+     * @param {Object} options - Handler options
+     * @param {number} options.maxFileSize - Maximum uncompressed size per file in bytes
+     *   (defaults to a limit based on available memory)
+     */
+    constructor(duckdbManager, options = {}) {
         this.duckdb = duckdbManager;
         this.uploadedFiles = new Map();
-        this.tableCounter = 1;
         this.fileInput = null;
+        this.maxFileSize = options.maxFileSize || ChunkedUploader.defaultMaxFileSize();
+        this.archiveReader = new ArchiveReader(this.maxFileSize);
         
         this.initializeDropzone();
     }
@@ -24,7 +35,7 @@ class FileHandler {
         // Create file input
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
-        fileInput.accept = '.csv';
+        fileInput.accept = SUPPORTED_EXTENSIONS.join(',');
         fileInput.multiple = true;
         fileInput.style.display = 'none';
         fileInput.addEventListener('change', (e) => this.handleFileInputChange(e));
@@ -93,13 +104,23 @@ class FileHandler {
      * Handle multiple files
      */
     handleFiles(files) {
-        const csvFiles = files.filter(file => file.name.toLowerCase().endsWith('.csv'));
+        const supportedFiles = files.filter(file => this.isSupportedFile(file.name));
         
-        if (csvFiles.length !== files.length) {
-            console.warn('Some files were ignored (only CSV files are supported)');
+        if (supportedFiles.length !== files.length) {
+            console.warn('Some files were ignored (only CSV, Parquet, gzip and zip files are supported)');
         }
         
-        csvFiles.forEach(file => this.handleFileAdded(file));
+        supportedFiles.forEach(file => this.handleFileAdded(file));
+    }
+    
+    /**
+     * Check whether a file name has a supported extension
+     * @param {string} fileName - File name
+     * @returns {boolean} Is supported
+     */
+    isSupportedFile(fileName) {
+        const lowerName = fileName.toLowerCase();
+        return SUPPORTED_EXTENSIONS.some(ext => lowerName.endsWith(ext));
     }
     
     /**
@@ -110,19 +131,32 @@ class FileHandler {
         try {
             console.log(`File added: ${file.name} (${this.formatFileSize(file.size)})`);
             
+            // Unpack archives and add each contained file on its own
+            if (this.archiveReader.isArchive(file.name)) {
+                const innerFiles = await this.expandArchive(file);
+                for (const innerFile of innerFiles) {
+                    await this.handleFileAdded(innerFile);
+                }
+                return;
+            }
+            
             // Validate file
             if (!this.validateFile(file)) {
                 return;
             }
             
-            // Generate unique table name
+            // Name the table after the file
             const tableName = this.generateTableName(file.name);
             
             // Show loading state
             this.updateFileStatus(file, 'Processing...');
             
             // Load file into DuckDB
-            await this.duckdb.loadCSV(file, tableName);
+            if (file.name.toLowerCase().endsWith('.parquet')) {
+                await this.duckdb.loadParquet(file, tableName);
+            } else {
+                await this.duckdb.loadCSV(file, tableName);
+            }
             
             // Store file information
             this.uploadedFiles.set(file, {
@@ -139,7 +173,7 @@ class FileHandler {
             this.notifyFileLoaded(tableName, file.name);
             
             console.log(`Successfully processed: ${file.name} → ${tableName}`);
-            
+        
         } catch (error) {
             console.error(`Failed to process file ${file.name}:`, error);
             this.updateFileStatus(file, 'Error');
@@ -147,6 +181,32 @@ class FileHandler {
         }
     }
     
+    /**
+     * Decompress a gzip file or extract the supported files from a zip archive
+     * @param {File} file - Archive file
+     * @returns {Promise<Array<File>>} Extracted files
+     */
+    async expandArchive(file) {
+        if (this.archiveReader.isGzip(file.name)) {
+            return [await this.archiveReader.gunzip(file)];
+        }
+        
+        const entries = await this.archiveReader.listZipEntries(file);
+        const supportedEntries = entries.filter(entry => 
+            this.isSupportedFile(entry.name) && !this.archiveReader.isArchive(entry.name)
+        );
+        
+        if (supportedEntries.length === 0) {
+            throw new Error(`${file.name} does not contain any CSV or Parquet files`);
+        }
+        
+        const files = [];
+        for (const entry of supportedEntries) {
+            files.push(await this.archiveReader.extractZipEntry(file, entry));
+        }
+        return files;
+    }
+    
     /**
      * Handle file removed from dropzone
      * @param {File} file - The removed file
@@ -190,14 +250,14 @@ class FileHandler {
      */
     validateFile(file) {
         // Check file type
-        if (!file.name.toLowerCase().endsWith('.csv')) {
-            this.showError(`Invalid file type: ${file.name}. Only CSV files are supported.`);
+        if (!this.isSupportedFile(file.name)) {
+            this.showError(`Invalid file type: ${file.name}. Only CSV, Parquet, gzip and zip files are supported.`);
             return false;
         }
         
-        // Check file size (10MB limit)
-        if (file.size > 10 * 1024 * 1024) {
-            this.showError(`File too large: ${file.name}. Maximum size is 10MB.`);
+        // Check file size (archives are checked against their uncompressed contents)
+        if (file.size > this.maxFileSize) {
+            this.showError(`File too large: ${file.name}. Maximum size is ${this.formatFileSize(this.maxFileSize)}.`);
             return false;
         }
         
@@ -205,7 +265,7 @@ class FileHandler {
         const existingFile = Array.from(this.uploadedFiles.values())
             .find(info => info.fileName === file.name);
         if (existingFile) {
-            this.showError(`File already uploaded: ${file.name}`);
+            this.showError(`File already uploaded: ${file.name}. Use Replace file on ${existingFile.tableName} to load a new version.`);
             return false;
         }
         
@@ -218,8 +278,158 @@ class FileHandler {
      * @returns {string} Table name
      */
     generateTableName(fileName) {
-        // Simple table naming: t1, t2, t3, etc.
-        return `t${this.tableCounter++}`;
+        // Readable names derived from the file, e.g. "Sales Data.csv" -> sales_data
+        return TableNames.fromFileName(fileName, this.getTableNames());
+    }
+    
+    /**
+     * Rename a loaded table
+     * @param {string} tableName - Current table name
+     * @param {string} newName - New table name
+     * @returns {Promise<boolean>} Whether the table was renamed
+     */
+    async renameTable(tableName, newName) {
+        const fileInfo = this.getFileInfo(tableName);
+        if (!fileInfo) {
+            this.showError(`Table not found: ${tableName}`);
+            return false;
+        }
+        if (newName === tableName) {
+            return true;
+        }
+        
+        const otherNames = this.getTableNames().filter(name => name !== tableName);
+        const validationError = TableNames.validate(newName, otherNames);
+        if (validationError) {
+            this.showError(validationError);
+            return false;
+        }
+        
+        try {
+            await this.duckdb.renameTable(tableName, newName);
+            fileInfo.tableName = newName;
+            
+            this.updateFileList();
+            this.notifyTableRenamed(tableName, newName);
+            
+            console.log(`Renamed table: ${tableName} → ${newName}`);
+            return true;
+        } catch (error) {
+            console.error(`Error renaming table:`, error);
+            this.showError(`Error renaming table: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Ask for a new table name and rename the table
+     * @param {string} tableName - Current table name
+     */
+    async promptRename(tableName) {
+        const newName = window.prompt(`Rename table ${tableName} to:`, tableName);
+        if (newName !== null) {
+            await this.renameTable(tableName, newName.trim());
+        }
+    }
+    
+    /**
+     * Load a new version of a file under an existing table name, so queries
+     * written against the table keep working
+     * @param {string} tableName - Table to replace
+     * @param {File} file - Replacement file
+     * @returns {Promise<Object|null>} Schema changes (see compareSchemas), or null on failure
+     */
+    async replaceFile(tableName, file) {
+        const fileInfo = this.getFileInfo(tableName);
+        if (!fileInfo) {
+            this.showError(`Table not found: ${tableName}`);
+            return null;
+        }
+        
+        try {
+            if (this.archiveReader.isGzip(file.name)) {
+                file = await this.archiveReader.gunzip(file);
+            }
+            
+            const isParquet = name => name.toLowerCase().endsWith('.parquet');
+            if (!this.isSupportedFile(file.name) || this.archiveReader.isArchive(file.name) ||
+                isParquet(file.name) !== isParquet(fileInfo.fileName)) {
+                this.showError(`${file.name} cannot replace ${fileInfo.fileName}: choose a file of the same type`);
+                return null;
+            }
+            if (file.size > this.maxFileSize) {
+                this.showError(`File too large: ${file.name}. Maximum size is ${this.formatFileSize(this.maxFileSize)}.`);
+                return null;
+            }
+            
+            const before = {
+                columns: await this.duckdb.getTableInfo(tableName),
+                rowCount: fileInfo.rowCount
+            };
+            
+            // Load under a staging name and swap it in only once it loaded, so a file
+            // that fails to load leaves the table as it was
+            let stagingName = `${tableName}_replacement`;
+            for (let n = 2; this.duckdb.loadedTables.has(stagingName); n++) {
+                stagingName = `${tableName}_replacement_${n}`;
+            }
+            stagingName = isParquet(file.name)
+                ? await this.duckdb.loadParquet(file, stagingName)
+                : await this.duckdb.loadCSV(file, stagingName);
+            
+            const after = {
+                columns: await this.duckdb.getTableInfo(stagingName),
+                rowCount: await this.duckdb.getRowCount(stagingName)
+            };
+            await this.duckdb.dropTable(tableName);
+            await this.duckdb.renameTable(stagingName, tableName);
+            
+            // Re-key the entry under the new File, keeping its table name
+            for (const [existingFile, info] of this.uploadedFiles) {
+                if (info === fileInfo) {
+                    this.uploadedFiles.delete(existingFile);
+                    break;
+                }
+            }
+            this.uploadedFiles.set(file, {
+                ...fileInfo,
+                fileName: file.name,
+                fileSize: file.size,
+                uploadTime: new Date(),
+                rowCount: after.rowCount
+            });
+            
+            const changes = this.compareSchemas(before, after);
+            this.updateFileList();
+            this.notifyFileReplaced(tableName, file.name, changes);
+            
+            console.log(`Replaced ${tableName}: ${fileInfo.fileName} → ${file.name}`);
+            return changes;
+        } catch (error) {
+            console.error(`Error replacing ${tableName}:`, error);
+            this.showError(`Error replacing ${tableName}: ${error.message}`);
+            return null;
+        }
+    }
+    
+    /**
+     * Describe how a table changed between two loads
+     * @param {Object} before - { columns: [{column_name, column_type}], rowCount }
+     * @param {Object} after - Same shape as before
+     * @returns {Object} { added, removed, retyped: [{column, oldType, newType}], rowDelta }
+     */
+    compareSchemas(before, after) {
+        const oldTypes = new Map(before.columns.map(col => [col.column_name, col.column_type]));
+        const newTypes = new Map(after.columns.map(col => [col.column_name, col.column_type]));
+        
+        return {
+            added: after.columns.map(col => col.column_name).filter(name => !oldTypes.has(name)),
+            removed: before.columns.map(col => col.column_name).filter(name => !newTypes.has(name)),
+            retyped: after.columns
+                .filter(col => oldTypes.has(col.column_name) && oldTypes.get(col.column_name) !== col.column_type)
+                .map(col => ({ column: col.column_name, oldType: oldTypes.get(col.column_name), newType: col.column_type })),
+            rowDelta: after.rowCount - before.rowCount
+        };
     }
     
     /**
@@ -259,6 +469,7 @@ class FileHandler {
                 <div class="file-info">
                     <span class="file-name">${info.fileName}</span>
                     <span class="table-alias">→ ${info.tableName}</span>
+                    <button onclick="fileHandler.promptRename('${info.tableName}')" class="rename-btn" title="Rename table">✏️</button>
                 </div>
                 <div class="file-stats">
                     ${this.formatFileSize(info.fileSize)} • ${info.rowCount.toLocaleString()} rows
@@ -362,6 +573,29 @@ class FileHandler {
         }));
     }
     
+    /**
+     * Notify other components that a table was renamed
+     * @param {string} oldName - Previous table name
+     * @param {string} newName - New table name
+     */
+    notifyTableRenamed(oldName, newName) {
+        window.dispatchEvent(new CustomEvent('tableRenamed', {
+            detail: { oldName, newName }
+        }));
+    }
+    
+    /**
+     * Notify other components that a table was reloaded from a new file
+     * @param {string} tableName - Table name
+     * @param {string} fileName - New file name
+     * @param {Object} changes - Schema changes from compareSchemas
+     */
+    notifyFileReplaced(tableName, fileName, changes) {
+        window.dispatchEvent(new CustomEvent('fileReplaced', {
+            detail: { tableName, fileName, changes }
+        }));
+    }
+    
     /**
      * Show error message
      * @param {string} message - Error message
@@ -394,9 +628,6 @@ class FileHandler {
             // Clear the file list UI
             this.updateFileList();
             
-            // Reset counter
-            this.tableCounter = 1;
-            
             console.log('All files cleared');
         } catch (error) {
             console.error('Error clearing files:', error);
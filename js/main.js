@@ -10,9 +10,13 @@ class CSVTools {
         this.sqlEditor = new SQLEditor();
         this.resultsTable = new ResultsTable();
         this.csvExporter = new CSVExporter();
+        this.queryHistory = new QueryHistory();
         
         this.isInitialized = false;
         this.currentQuery = '';
+        this.queryStartedAt = null;
+        this.queryTimer = null;
+        this.queryCancelled = false;
         
         this.initialize();
     }
@@ -25,10 +29,10 @@ class CSVTools {
             console.log('Initializing CSV Tools...');
             
             // Update loading status
-            this.updateLoadingStatus('Initializing DuckDB-WASM...');
+            this.updateLoadingStatus('Initializing DuckDB...');
             
-            // Initialize DuckDB
-            await this.duckdb.initialize();
+            // Start the engine chosen for this page
+            await this.duckdb.initialize(message => this.updateLoadingStatus(message));
             
             // Update loading status
             this.updateLoadingStatus('Setting up file handler...');
@@ -131,6 +135,12 @@ class CSVTools {
             runButton.addEventListener('click', () => this.runQuery());
         }
         
+        // Cancel query button
+        const cancelButton = document.getElementById('cancel-query');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.cancelQuery());
+        }
+        
         // Export CSV button
         const exportButton = document.getElementById('export-csv');
         if (exportButton) {
@@ -184,6 +194,10 @@ class CSVTools {
             return;
         }
         
+        if (this.queryStartedAt !== null) {
+            return;
+        }
+        
         try {
             // Get SQL from editor if not provided
             const querySQL = sql || this.sqlEditor.getValue().trim();
@@ -203,6 +217,7 @@ class CSVTools {
             
             // Execute query
             const results = await this.duckdb.runQuery(querySQL);
+            this.recordQuery(querySQL, { success: true, rows: results.length });
             
             // Display results
             this.resultsTable.displayResults(results);
@@ -219,13 +234,57 @@ class CSVTools {
             }
             
         } catch (error) {
-            console.error('Query execution failed:', error);
+            const cancelled = this.queryCancelled;
+            const elapsed = this.formatElapsed(performance.now() - this.queryStartedAt);
+            if (this.currentQuery) {
+                this.recordQuery(this.currentQuery, { success: false, cancelled, error: error.message });
+            }
             this.setQueryRunning(false);
+            
+            // A cancelled query keeps the previous results and the loaded tables
+            if (cancelled) {
+                this.showInfo(`Query cancelled after ${elapsed}`);
+                return;
+            }
+            
+            console.error('Query execution failed:', error);
             this.resultsTable.clear();
             this.showError(`Query failed: ${error.message}`);
         }
     }
     
+    /**
+     * Add the running query to the query history, with the loaded tables it used.
+     * Failing to record is logged and never stops the query
+     * @param {string} sql - Query text
+     * @param {Object} result - {success, rows} or {success: false, cancelled, error}
+     */
+    async recordQuery(sql, result) {
+        const duration = performance.now() - this.queryStartedAt;
+        const tables = TableNames.findReferences(sql, [...this.duckdb.loadedTables]);
+        try {
+            await this.queryHistory.add(QueryHistory.entry(sql, result, duration, tables));
+        } catch (error) {
+            console.warn('Could not record query history:', error);
+        }
+    }
+    
+    /**
+     * Interrupt the running query
+     */
+    cancelQuery() {
+        if (this.queryStartedAt === null || !this.duckdb.cancelQuery()) {
+            return;
+        }
+        
+        this.queryCancelled = true;
+        const cancelButton = document.getElementById('cancel-query');
+        if (cancelButton) {
+            cancelButton.disabled = true;
+        }
+        this.showInfo('Cancelling query...');
+    }
+    
     /**
      * Export current results to CSV
      */
@@ -311,15 +370,46 @@ class CSVTools {
      */
     setQueryRunning(running) {
         const runButton = document.getElementById('run-query');
+        const cancelButton = document.getElementById('cancel-query');
+        
+        clearInterval(this.queryTimer);
+        this.queryStartedAt = running ? performance.now() : null;
+        this.queryCancelled = false;
+        
         if (runButton) {
             runButton.disabled = running;
-            runButton.textContent = running ? 'Running...' : 'Run Query';
+            runButton.textContent = running ? 'Running... 0.0s' : 'Run Query';
+        }
+        
+        // Show the elapsed time on the Run button while the query runs
+        if (running && runButton) {
+            this.queryTimer = setInterval(() => {
+                runButton.textContent = `Running... ${this.formatElapsed(performance.now() - this.queryStartedAt)}`;
+            }, 100);
+        }
+        
+        if (cancelButton) {
+            cancelButton.hidden = !running;
+            cancelButton.disabled = !this.duckdb.canCancel;
         }
         
         // Disable SQL editor while running
         this.sqlEditor.setEnabled(!running);
     }
     
+    /**
+     * Format a query duration, e.g. 4.2s or 2m 05s
+     * @param {number} milliseconds - Duration
+     * @returns {string} Formatted duration
+     */
+    formatElapsed(milliseconds) {
+        const seconds = milliseconds / 1000;
+        if (seconds < 60) {
+            return `${seconds.toFixed(1)}s`;
+        }
+        return `${Math.floor(seconds / 60)}m ${String(Math.floor(seconds % 60)).padStart(2, '0')}s`;
+    }
+    
     /**
      * Update export button state
      */
@@ -475,28 +565,11 @@ class CSVTools {
     }
 }
 
-// Wait for DuckDB to be ready
-function waitForDuckDB() {
-    return new Promise((resolve) => {
-        const check = () => {
-            if (window.duckdbReady && window.duckdb) {
-                resolve();
-            } else {
-                setTimeout(check, 100);
-            }
-        };
-        check();
-    });
-}
-
-// Initialize application when DOM is ready and DuckDB is loaded
+// Initialize application when DOM is ready; CSVTools starts the engine itself
 async function initializeApp() {
-    console.log('DOM loaded, waiting for DuckDB...');
+    console.log('DOM loaded, initializing CSV Tools...');
     
     try {
-        await waitForDuckDB();
-        console.log('DuckDB ready, initializing CSV Tools...');
-        
         window.csvTools = new CSVTools();
         
         // Expose fileHandler for button callbacks
@@ -0,0 +1,103 @@
+/**
+ * Pasted Text
+ * Parses text pasted into the paste dialog: tab-separated cells copied from a
+ * spreadsheet, or CSV text separated by commas, semicolons or pipes, with
+ * quoted cells that may hold separators, line breaks and doubled quotes
+ */
+
+// Separators tried when the first line has no tabs, most likely first
+const PASTE_DELIMITERS = [',', ';', '|'];
+
+class PastedText {
+    /**
+     * Split pasted text into rows of cells, padding short rows to the widest one
+     * @param {string} text - Pasted text
+     * @returns {{rows: Array<Array<string>>, delimiter: string}}
+     */
+    static parse(text) {
+        const trimmed = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '');
+        if (trimmed.trim() === '') {
+            return { rows: [], delimiter: '\t' };
+        }
+        
+        const delimiter = PastedText.guessDelimiter(trimmed.split('\n')[0]);
+        const rows = PastedText.parseDelimited(trimmed, delimiter);
+        const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        rows.forEach(row => {
+            while (row.length < width) row.push('');
+        });
+        return { rows, delimiter };
+    }
+    
+    /**
+     * Spreadsheets copy as tab-separated text; otherwise the most frequent separator
+     * on the first line wins, and a comma when there is none
+     * @param {string} firstLine - First line of the text
+     * @returns {string} Separator
+     */
+    static guessDelimiter(firstLine) {
+        if (firstLine.includes('\t')) {
+            return '\t';
+        }
+        const counts = PASTE_DELIMITERS.map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+        counts.sort((a, b) => b[1] - a[1]);
+        return counts[0][1] > 0 ? counts[0][0] : ',';
+    }
+    
+    /**
+     * Split text with \n line breaks into rows of cells. A cell starting with a
+     * quote runs to the closing quote, and "" inside it is one quote
+     * @param {string} text - Text to split
+     * @param {string} delimiter - Cell separator
+     * @returns {Array<Array<string>>}
+     */
+    static parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n') {
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        return rows;
+    }
+    
+    /**
+     * Whether the first row looks like column names: distinct, non-empty and
+     * not numbers, with at least one row below it
+     * @param {Array<Array<string>>} rows - Parsed rows
+     * @returns {boolean}
+     */
+    static looksLikeHeader(rows) {
+        const first = rows[0].map(cell => cell.trim());
+        const isNumeric = value => value !== '' && !isNaN(Number(value.replace(/,/g, '')));
+        return rows.length > 1 &&
+            first.every(cell => cell !== '' && !isNumeric(cell)) &&
+            new Set(first).size === first.length;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,210 @@
+/**
+ * Pyodide Engine
+ * Engine adapter for DuckDB's Python package, run by EngineClient in a Pyodide
+ * worker. The Python module (csv_tools) is embedded in index.html; its methods
+ * stay reachable through engine.tools for the tools only it has
+ */
+class PyodideEngine extends Engine {
+    constructor() {
+        super();
+        this.name = 'pyodide';
+        this.client = new EngineClient();
+        this.csvTools = null;
+    }
+    
+    /**
+     * Start the worker and run the Python module from the page's python-code script
+     * @param {Function} onStatus - Called with loading status messages
+     * @returns {Promise<void>}
+     */
+    async start(onStatus = () => {}) {
+        const pythonCode = document.getElementById('python-code');
+        if (!pythonCode) {
+            throw new Error('The Pyodide engine needs the Python module embedded in index.html');
+        }
+        
+        await this.client.start(pythonCode.textContent, JSON.parse(pythonCode.dataset.packages), onStatus);
+        // csv_tools methods return promises resolved by the worker
+        this.csvTools = this.client.proxy();
+    }
+    
+    /**
+     * The csv_tools proxy, for the Python-only tools
+     * @returns {Object|null}
+     */
+    get tools() {
+        return this.csvTools;
+    }
+    
+    /**
+     * Whether the worker can be interrupted (the page is cross-origin isolated)
+     * @returns {boolean}
+     */
+    get canCancel() {
+        return this.client.canCancel;
+    }
+    
+    /**
+     * Interrupt the running query
+     * @returns {boolean} Whether an interrupt was sent
+     */
+    cancel() {
+        return this.client.cancel();
+    }
+    
+    /**
+     * Stream a file into the worker's virtual filesystem
+     * @param {File} file - File to copy
+     * @param {Object} options - ChunkedUploader.upload() options (transform, onProgress)
+     * @param {ChunkedUploader} [options.uploader] - Uploader to use, e.g. one the page can cancel
+     * @returns {Promise<string>} Path the load_* methods take
+     */
+    async upload(file, { uploader = new ChunkedUploader(), ...options } = {}) {
+        const begin = await this.csvTools.begin_upload(file.name);
+        if (!begin.success) {
+            throw new Error(begin.error);
+        }
+        
+        try {
+            await uploader.upload(file, chunk => this.csvTools.write_upload_chunk(begin.upload_id, chunk), options);
+        } catch (error) {
+            await this.csvTools.cancel_upload(begin.upload_id);
+            throw error;
+        }
+        
+        const finish = await this.csvTools.finish_upload(begin.upload_id);
+        if (!finish.success) {
+            throw new Error(finish.error);
+        }
+        return finish.upload_path;
+    }
+    
+    /**
+     * Load a CSV, Parquet, JSON or Excel file as a table
+     * @param {File} file - File to load
+     * @param {Object} options
+     * @param {string} [options.tableName] - Table name; by default it is named after the file
+     * @param {boolean} [options.hasHeaders=true] - Whether a CSV file starts with a header row
+     * @returns {Promise<Object>} {success, table_name, rows, columns, error}
+     */
+    async loadFile(file, { tableName = null, hasHeaders = true } = {}) {
+        try {
+            const uploadPath = await this.upload(file);
+            
+            let result;
+            if (/\.parquet$/i.test(file.name)) {
+                result = await this.csvTools.load_parquet_file(uploadPath, file.name);
+            } else if (/\.(json|ndjson|jsonl)$/i.test(file.name)) {
+                result = await this.csvTools.load_json_file(uploadPath, file.name, true);
+            } else if (/\.xlsx?$/i.test(file.name)) {
+                result = await this.csvTools.load_excel_file(uploadPath, file.name, null);
+            } else {
+                result = await this.csvTools.load_csv_file(uploadPath, file.name, hasHeaders, null);
+            }
+            
+            if (result.success && tableName && result.table_name !== tableName) {
+                const renamed = await this.renameTable(result.table_name, tableName);
+                if (!renamed.success) {
+                    await this.dropTable(result.table_name);
+                    return renamed;
+                }
+                result.table_name = tableName;
+            }
+            return result;
+        } catch (error) {
+            console.error(`Failed to load ${file.name}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Run a query. Its rows stay in the engine's result handle and are fetched a page at a time
+     * @param {string} sql - SQL to run
+     * @param {number} pageSize - Rows in the first page
+     * @param {Object} [options]
+     * @param {boolean} [options.keepResults=false] - Keep earlier results pageable (later statements of a script)
+     * @param {Object} [options.parameters] - {name: {type, value}} for the named parameters, bound as $name
+     * @returns {Promise<Object>} {success, rows, columns, page, fetchPage, query} or {success: false, cancelled?, error}
+     */
+    async runQuery(sql, pageSize = 100, { keepResults = false, parameters = {} } = {}) {
+        let bound;
+        try {
+            bound = Engine.bindParameters(sql, parameters, name => '$' + name);
+        } catch (error) {
+            return { success: false, error: error.message, query: sql };
+        }
+        
+        const hasParameters = Object.keys(bound.values).length > 0;
+        const result = await this.csvTools.execute_query(bound.sql, pageSize, keepResults, hasParameters ? bound.values : null);
+        if (!result.success) {
+            return result;
+        }
+        
+        const page = ColumnBatch.fromArrowIPC(result.arrow);
+        if (!result.result_id) {
+            // Statements that ran without a handle (DESCRIBE, scripts...) return every row
+            return Engine.localResult(page, sql, pageSize);
+        }
+        
+        return {
+            success: true,
+            rows: result.rows,
+            columns: result.columns,
+            page,
+            fetchPage: async (offset, limit, sortColumn, sortDirection) => {
+                const next = await this.csvTools.fetch_result_page(result.result_id, offset, limit, sortColumn, sortDirection);
+                if (!next.success) {
+                    throw new Error(next.error);
+                }
+                return ColumnBatch.fromArrowIPC(next.arrow);
+            },
+            query: sql
+        };
+    }
+    
+    /**
+     * Column names and types of a table, with any type overrides
+     * @param {string} tableName - Table to describe
+     * @returns {Promise<Object>} {success, columns: [{name, type, detected_type, override}]}
+     */
+    describeTable(tableName) {
+        return this.csvTools.describe_columns(tableName);
+    }
+    
+    /**
+     * Loaded tables and what is known about them
+     * @returns {Promise<Object>} {tables: {name: {filename, file_type, rows, columns, ...}}, count}
+     */
+    listTables() {
+        return this.csvTools.get_table_info();
+    }
+    
+    /**
+     * Drop a table and delete its file
+     * @param {string} tableName - Table to drop
+     * @returns {Promise<Object>} {success, error}
+     */
+    dropTable(tableName) {
+        return this.csvTools.drop_table(tableName);
+    }
+    
+    /**
+     * Rename a table
+     * @param {string} tableName - Current name
+     * @param {string} newName - New name
+     * @returns {Promise<Object>} {success, table_name, error}
+     */
+    renameTable(tableName, newName) {
+        return this.csvTools.rename_table(tableName, newName);
+    }
+    
+    /**
+     * Cast columns to other types
+     * @param {string} tableName - Table to change
+     * @param {Object} overrides - {column: {type, format}}
+     * @returns {Promise<Object>} {success, column_errors: [{column, type, failures, example}]}
+     */
+    setColumnTypes(tableName, overrides) {
+        return this.csvTools.set_column_types(tableName, overrides);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * Query History
+ * Every query that runs, kept in the browser's IndexedDB so it survives reloads:
+ * its text, when it ran, how long it took, its row count or error and the
+ * loaded tables it used. The history panel searches and filters it
+ */
+
+// IndexedDB database and object store holding the history
+const HISTORY_DB_NAME = 'duckTools';
+const HISTORY_STORE = 'queryHistory';
+
+// Oldest entries are dropped beyond this many
+const MAX_HISTORY_ENTRIES = 1000;
+
+class QueryHistory {
+    /**
+     * @param {IDBFactory} factory - IndexedDB to use (window.indexedDB by default)
+     */
+    constructor(factory = window.indexedDB) {
+        this.factory = factory;
+        this.opening = null;
+    }
+    
+    /**
+     * Open the database, creating its store the first time
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                if (!this.factory) {
+                    reject(new Error('This browser has no IndexedDB, so query history is not kept'));
+                    return;
+                }
+                const request = this.factory.open(HISTORY_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.opening;
+    }
+    
+    /**
+     * Run a request against the history store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+     * @returns {Promise<*>} The request's result
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Record a query that ran, dropping the oldest entries past MAX_HISTORY_ENTRIES
+     * @param {Object} entry - From QueryHistory.entry()
+     * @returns {Promise<Object>} The entry with its id
+     */
+    async add(entry) {
+        const id = await this.request('readwrite', store => store.add(entry));
+        const count = await this.request('readonly', store => store.count());
+        if (count > MAX_HISTORY_ENTRIES) {
+            // Ids only grow, so the oldest entries have the lowest ones
+            const oldest = await this.request('readonly', store => store.getAllKeys(null, count - MAX_HISTORY_ENTRIES));
+            await this.request('readwrite', store => store.delete(IDBKeyRange.upperBound(oldest[oldest.length - 1])));
+        }
+        return { ...entry, id };
+    }
+    
+    /**
+     * Entries matching the filters, newest first
+     * @param {Object} filters - See QueryHistory.matches()
+     * @returns {Promise<Array<Object>>}
+     */
+    async list(filters = {}) {
+        const entries = await this.request('readonly', store => store.getAll());
+        return entries.reverse().filter(entry => QueryHistory.matches(entry, filters));
+    }
+    
+    /**
+     * Delete one entry
+     * @param {number} id - Entry id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await this.request('readwrite', store => store.delete(id));
+    }
+    
+    /**
+     * Delete every entry
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.request('readwrite', store => store.clear());
+    }
+    
+    /**
+     * History entry for a query that ran
+     * @param {string} sql - The query
+     * @param {Object} result - runQuery() result: {success, rows} or {success: false, cancelled?, error}
+     * @param {number} duration - Time it took, in milliseconds
+     * @param {Array<string>} tables - Loaded tables it used
+     * @returns {Object} {sql, executedAt, duration, rows, success, cancelled, error, tables}
+     */
+    static entry(sql, result, duration, tables = []) {
+        return {
+            sql,
+            executedAt: Date.now(),
+            duration: Math.round(duration),
+            rows: result.success ? result.rows : null,
+            success: Boolean(result.success),
+            cancelled: Boolean(result.cancelled),
+            error: result.success ? null : (result.error || null),
+            tables
+        };
+    }
+    
+    /**
+     * Whether an entry passes the history panel's filters
+     * @param {Object} entry - History entry
+     * @param {Object} filters
+     * @param {string} [filters.search] - Words that must all appear in the query, its error or its tables
+     * @param {boolean} [filters.failedOnly] - Only queries that failed (cancelled ones included)
+     * @param {string} [filters.table] - Only queries that used this table
+     * @returns {boolean}
+     */
+    static matches(entry, { search = '', failedOnly = false, table = '' } = {}) {
+        if (failedOnly && entry.success) {
+            return false;
+        }
+        if (table && !entry.tables.some(name => name.toLowerCase() === table.toLowerCase())) {
+            return false;
+        }
+        
+        const text = [entry.sql, entry.error || '', ...entry.tables].join('\n').toLowerCase();
+        return search.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+    }
+    
+    /**
+     * Every table used in a list of entries, for the table filter
+     * @param {Array<Object>} entries - History entries
+     * @returns {Array<string>} Sorted table names
+     */
+    static tables(entries) {
+        return [...new Set(entries.flatMap(entry => entry.tables))].sort();
+    }
+}
\ No newline at end of file
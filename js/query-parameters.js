@@ -0,0 +1,94 @@
+/**
+ * Query Parameters
+ * Typed values for the named parameters of a query (:start_date, $region),
+ * remembered between runs. Engines bind them as values, never as SQL text
+ */
+
+// Parameter types and the HTML input that edits each
+const PARAMETER_TYPES = {
+    text: { label: 'Text', input: 'text' },
+    number: { label: 'Number', input: 'number' },
+    date: { label: 'Date', input: 'date' },
+    timestamp: { label: 'Timestamp', input: 'datetime-local' }
+};
+
+// Remembered parameter values in localStorage: {name: {type, value}}
+const PARAMETERS_STORAGE_KEY = 'duckTools.queryParameters';
+
+class QueryParameters {
+    /**
+     * @param {Storage} storage - Where values are remembered (localStorage by default)
+     */
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+    
+    /**
+     * Parameters to ask for, with the type and value used last time, or a type guessed from the name
+     * @param {Array<string>} names - Parameter names from SQLScript.parameters()
+     * @returns {Array<{name: string, type: string, value: string}>}
+     */
+    load(names) {
+        const remembered = this.remembered();
+        return names.map(name => remembered[name]
+            ? { name, type: remembered[name].type, value: remembered[name].value }
+            : { name, type: QueryParameters.guessType(name), value: '' });
+    }
+    
+    /**
+     * Remember values for the next run, alongside those of other queries
+     * @param {Object} values - {name: {type, value}}
+     */
+    save(values) {
+        this.storage.setItem(PARAMETERS_STORAGE_KEY, JSON.stringify({ ...this.remembered(), ...values }));
+    }
+    
+    /**
+     * All remembered values
+     * @returns {Object} {name: {type, value}}
+     */
+    remembered() {
+        try {
+            return JSON.parse(this.storage.getItem(PARAMETERS_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    /**
+     * Type suggested by a parameter's name, e.g. start_date -> date
+     * @param {string} name - Parameter name
+     * @returns {string} One of the PARAMETER_TYPES keys
+     */
+    static guessType(name) {
+        const lower = name.toLowerCase();
+        if (/(^|_)(timestamp|time|datetime)$|_at$/.test(lower)) return 'timestamp';
+        if (/date|day/.test(lower)) return 'date';
+        if (/(^|_)(n|num|count|limit|min|max|year|amount|id)$/.test(lower)) return 'number';
+        return 'text';
+    }
+    
+    /**
+     * Check a value against its type
+     * @param {Object} parameter - {type, value}
+     * @returns {string|null} Error message, or null if the value can be bound. An empty value is NULL
+     */
+    static validate({ type, value }) {
+        if (!PARAMETER_TYPES[type]) {
+            return `Unknown parameter type ${type}`;
+        }
+        if (value === '' || type === 'text') {
+            return null;
+        }
+        if (type === 'number' && !/^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value.trim())) {
+            return `"${value}" is not a number`;
+        }
+        if (type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return `"${value}" is not a date (YYYY-MM-DD)`;
+        }
+        if (type === 'timestamp' && !/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)) {
+            return `"${value}" is not a timestamp (YYYY-MM-DD HH:MM)`;
+        }
+        return null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,249 @@
+/**
+ * Query Plan
+ * The operator tree of an EXPLAIN (FORMAT JSON) or EXPLAIN (ANALYZE, FORMAT JSON)
+ * result, with each operator's estimated and actual row counts and time, shown
+ * as a collapsible tree with the slowest operators highlighted
+ */
+
+// Operators highlighted as the hottest in a profile
+const HOT_OPERATOR_COUNT = 3;
+
+// Details shown next to an operator's name, the first one it has
+const PLAN_LABEL_KEYS = ['Table', 'Function', 'Join Type', 'Text'];
+
+class QueryPlan {
+    /**
+     * @param {Object} root - Top operator, from readNode()
+     * @param {Object} [options]
+     * @param {boolean} [options.analyzed=false] - Whether the query ran, so actual rows and times are known
+     * @param {number} [options.totalTime] - Query time in seconds; defaults to the operators' total
+     */
+    constructor(root, { analyzed = false, totalTime = null } = {}) {
+        this.root = root;
+        this.analyzed = analyzed;
+        
+        const operatorTime = this.operators.reduce((sum, node) => sum + (node.time || 0), 0);
+        this.totalTime = totalTime ?? operatorTime;
+        this.operators.forEach(node => {
+            node.share = operatorTime > 0 && node.time !== null ? node.time / operatorTime : null;
+        });
+        this.markHottest();
+    }
+    
+    /**
+     * Read the plan DuckDB returns as explain_value
+     * @param {string} text - JSON plan: a list of operators for EXPLAIN, a profile for EXPLAIN ANALYZE
+     * @param {boolean} analyzed - Whether it came from EXPLAIN ANALYZE
+     * @returns {QueryPlan}
+     */
+    static fromJSON(text, analyzed = false) {
+        const json = JSON.parse(text);
+        let nodes = Array.isArray(json) ? json : [json];
+        let totalTime = null;
+        
+        // A profile's top level is the query (its latency), not an operator
+        if (!Array.isArray(json) && !QueryPlan.operatorName(json)) {
+            totalTime = typeof json.latency === 'number' ? json.latency : null;
+            nodes = json.children || [];
+        }
+        // The EXPLAIN_ANALYZE operator only wraps the query's plan
+        while (nodes.length === 1 && QueryPlan.operatorName(nodes[0]) === 'EXPLAIN_ANALYZE') {
+            nodes = nodes[0].children || [];
+        }
+        
+        const children = nodes.map(node => QueryPlan.readNode(node));
+        const root = children.length === 1
+            ? children[0]
+            : { name: 'QUERY', label: null, details: [], estimated: null, actual: null, time: null, children };
+        return new QueryPlan(root, { analyzed, totalTime });
+    }
+    
+    /**
+     * Operator name of a plan node, across DuckDB versions
+     * @param {Object} node - Node from the JSON plan
+     * @returns {string|null}
+     */
+    static operatorName(node) {
+        const name = node.operator_name || node.operator_type || node.name;
+        return name ? name.trim() : null;
+    }
+    
+    /**
+     * Read a plan node and its children
+     * @param {Object} node - Node from the JSON plan
+     * @returns {Object} {name, label, details: [[key, value]], estimated, actual, time (seconds), children}
+     */
+    static readNode(node) {
+        const details = QueryPlan.readDetails(node.extra_info);
+        const estimate = details.find(([key]) => key === 'Estimated Cardinality' || key === 'EC');
+        const label = PLAN_LABEL_KEYS.map(key => details.find(([detailKey]) => detailKey === key)).find(Boolean);
+        const actual = node.operator_cardinality ?? node.cardinality;
+        const time = node.operator_timing ?? node.timing;
+        
+        return {
+            name: QueryPlan.operatorName(node),
+            label: label ? label[1] : null,
+            details: details.filter(detail => detail !== estimate),
+            estimated: estimate ? Number(estimate[1].replace(/[^\d.]/g, '')) : null,
+            actual: typeof actual === 'number' ? actual : null,
+            time: typeof time === 'number' ? time : null,
+            children: (node.children || []).map(child => QueryPlan.readNode(child))
+        };
+    }
+    
+    /**
+     * An operator's extra information as key/value pairs. Newer DuckDB versions send an
+     * object, older ones lines of text with the estimate as "EC: 123"
+     * @param {Object|string} extraInfo - The node's extra_info
+     * @returns {Array<Array<string>>} [[key, value]]
+     */
+    static readDetails(extraInfo) {
+        if (!extraInfo) {
+            return [];
+        }
+        if (typeof extraInfo === 'string') {
+            return extraInfo.split('\n')
+                .map(line => line.trim())
+                .filter(line => line && !/^-+$/.test(line))
+                .map(line => {
+                    const match = /^(EC|Estimated Cardinality):\s*(.*)$/.exec(line);
+                    return match ? [match[1], match[2]] : ['', line];
+                });
+        }
+        return Object.entries(extraInfo).map(([key, value]) => [
+            key,
+            Array.isArray(value) ? value.join(', ') : (typeof value === 'object' ? JSON.stringify(value) : String(value))
+        ]);
+    }
+    
+    /**
+     * Every operator, parents before their children
+     * @returns {Array<Object>}
+     */
+    get operators() {
+        const nodes = [];
+        const visit = (node) => {
+            nodes.push(node);
+            node.children.forEach(visit);
+        };
+        visit(this.root);
+        return nodes;
+    }
+    
+    /**
+     * Flag the operators that took the most time
+     * @param {number} count - How many to flag
+     */
+    markHottest(count = HOT_OPERATOR_COUNT) {
+        const hottest = this.operators.filter(node => node.time > 0).sort((a, b) => b.time - a.time).slice(0, count);
+        this.operators.forEach(node => {
+            node.hot = hottest.includes(node);
+        });
+    }
+    
+    /**
+     * Render the plan as a tree of collapsible operators
+     * @param {HTMLElement} container - Element to render into
+     */
+    render(container) {
+        container.innerHTML = '';
+        
+        const summary = document.createElement('div');
+        summary.className = 'plan-summary';
+        summary.textContent = this.analyzed
+            ? `Profile: ${this.operators.length} operators in ${QueryPlan.formatTime(this.totalTime)}; the ${HOT_OPERATOR_COUNT} slowest are highlighted`
+            : `Plan: ${this.operators.length} operators with estimated row counts. Profile runs the query to measure rows and times`;
+        container.appendChild(summary);
+        
+        const tree = document.createElement('ul');
+        tree.className = 'plan-tree';
+        tree.appendChild(this.renderNode(this.root));
+        container.appendChild(tree);
+    }
+    
+    /**
+     * Render an operator and, below it, its details and children
+     * @param {Object} node - Operator
+     * @returns {HTMLElement} List item
+     */
+    renderNode(node) {
+        const item = document.createElement('li');
+        const operator = document.createElement('details');
+        operator.open = true;
+        operator.className = node.hot ? 'plan-node hot' : 'plan-node';
+        
+        const heading = document.createElement('summary');
+        const name = document.createElement('span');
+        name.className = 'plan-operator';
+        name.textContent = node.name;
+        heading.appendChild(name);
+        if (node.label) {
+            const label = document.createElement('span');
+            label.className = 'plan-label';
+            label.textContent = node.label;
+            heading.appendChild(label);
+        }
+        const stats = document.createElement('span');
+        stats.className = 'plan-stats';
+        stats.textContent = this.describeStats(node);
+        heading.appendChild(stats);
+        operator.appendChild(heading);
+        
+        if (node.details.length > 0) {
+            const details = document.createElement('dl');
+            details.className = 'plan-details';
+            node.details.forEach(([key, value]) => {
+                const term = document.createElement('dt');
+                term.textContent = key;
+                const description = document.createElement('dd');
+                description.textContent = value;
+                details.append(term, description);
+            });
+            operator.appendChild(details);
+        }
+        
+        if (node.children.length > 0) {
+            const children = document.createElement('ul');
+            children.className = 'plan-tree';
+            node.children.forEach(child => children.appendChild(this.renderNode(child)));
+            operator.appendChild(children);
+        }
+        
+        item.appendChild(operator);
+        return item;
+    }
+    
+    /**
+     * Row counts and time of an operator, e.g. "est. 20,000 · 19,994 rows · 3.2 ms (41%)"
+     * @param {Object} node - Operator
+     * @returns {string}
+     */
+    describeStats(node) {
+        const parts = [];
+        if (node.estimated !== null) {
+            parts.push(`est. ${node.estimated.toLocaleString()}`);
+        }
+        if (this.analyzed && node.actual !== null) {
+            parts.push(`${node.actual.toLocaleString()} rows`);
+        }
+        if (this.analyzed && node.time !== null) {
+            parts.push(QueryPlan.formatTime(node.time) + (node.share !== null ? ` (${Math.round(node.share * 100)}%)` : ''));
+        }
+        return parts.join(' · ');
+    }
+    
+    /**
+     * Format seconds for display, e.g. 0.0032 => '3.2 ms'
+     * @param {number} seconds
+     * @returns {string}
+     */
+    static formatTime(seconds) {
+        if (seconds < 0.001) {
+            return `${Math.round(seconds * 1000000)} µs`;
+        }
+        if (seconds < 1) {
+            return `${(seconds * 1000).toFixed(1)} ms`;
+        }
+        return `${seconds.toFixed(2)} s`;
+    }
+}
\ No newline at end of file
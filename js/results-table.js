@@ -1,10 +1,15 @@
 /**
  * Results Table
- * Manages display of query results with pagination and sorting
+ * Manages display of query results with pagination and sorting. Results are
+ * either an array held in memory or a result set whose pages are fetched on
+ * demand, so large results never have to be loaded whole
  */
 class ResultsTable {
     constructor() {
         this.currentResults = null;
+        this.resultSet = null; // paged results, see displayResultSet()
+        this.pageRows = [];
+        this.pageRequest = 0;
         this.currentPage = 1;
         this.pageSize = 100;
         this.sortColumn = null;
@@ -18,6 +23,8 @@ class ResultsTable {
      */
     displayResults(results) {
         this.currentResults = results;
+        this.resultSet = null;
+        this.pageRequest++;
         this.currentPage = 1;
         this.sortColumn = null;
         this.sortDirection = 'asc';
@@ -30,13 +37,118 @@ class ResultsTable {
         this.render();
     }
     
+    /**
+     * Display results whose rows stay with the query engine. Only the current
+     * page is held; other pages are fetched as the user pages, sorts or changes the page size
+     * @param {Object} resultSet - Result set
+     * @param {number} resultSet.rows - Total row count
+     * @param {Array<string>} resultSet.columns - Column names
+     * @param {Array<Object>|ColumnBatch} [resultSet.data] - First page, if already fetched
+     * @param {Function} resultSet.fetchPage - (offset, limit, sortColumn, sortDirection) => Promise<Array<Object>|ColumnBatch>
+     * @returns {Promise<void>} Resolves once the first page is shown
+     */
+    async displayResultSet(resultSet) {
+        this.currentResults = null;
+        this.resultSet = resultSet;
+        this.pageRows = resultSet.data || [];
+        this.currentPage = 1;
+        this.sortColumn = null;
+        this.sortDirection = 'asc';
+        
+        if (!this.container) {
+            console.error('Results table container not found');
+            return;
+        }
+        
+        if (resultSet.data) {
+            this.pageRequest++;
+            this.render();
+        } else {
+            await this.loadPage();
+        }
+    }
+    
+    /**
+     * Fetch the current page from the result set and render it. Responses to
+     * superseded requests (the user paged again meanwhile) are dropped
+     * @returns {Promise<void>}
+     */
+    async loadPage() {
+        const request = ++this.pageRequest;
+        
+        try {
+            const rows = await this.resultSet.fetchPage(
+                (this.currentPage - 1) * this.pageSize, this.pageSize, this.sortColumn, this.sortDirection
+            );
+            if (request !== this.pageRequest) return;
+            
+            this.pageRows = rows;
+            this.render();
+        } catch (error) {
+            if (request !== this.pageRequest) return;
+            
+            console.error('Failed to fetch results page:', error);
+            const message = document.createElement('p');
+            message.className = 'error-message';
+            message.textContent = `Failed to load rows: ${error.message}`;
+            this.container.innerHTML = '';
+            this.container.appendChild(message);
+        }
+    }
+    
+    /**
+     * Re-show the current page after the page, page size or sort changed
+     * @returns {Promise<void>|undefined}
+     */
+    showPage() {
+        if (this.resultSet) {
+            return this.loadPage();
+        }
+        this.render();
+    }
+    
+    /**
+     * Total number of result rows
+     * @returns {number}
+     */
+    getRowCount() {
+        if (this.resultSet) {
+            return this.resultSet.rows;
+        }
+        return this.currentResults ? this.currentResults.length : 0;
+    }
+    
+    /**
+     * Result column names
+     * @returns {Array<string>}
+     */
+    getColumns() {
+        if (this.resultSet) {
+            return this.resultSet.columns;
+        }
+        return this.getRowCount() > 0 ? Object.keys(this.currentResults[0]) : [];
+    }
+    
+    /**
+     * Rows of the current page
+     * @returns {Array<Object>|ColumnBatch}
+     */
+    getPageRows() {
+        if (this.resultSet) {
+            return this.pageRows;
+        }
+        const startIndex = (this.currentPage - 1) * this.pageSize;
+        const endIndex = Math.min(startIndex + this.pageSize, this.currentResults.length);
+        return this.currentResults.slice(startIndex, endIndex);
+    }
+    
     /**
      * Render the complete results view
      */
     render() {
         this.container.innerHTML = '';
         
-        if (!this.currentResults || this.currentResults.length === 0) {
+        if (this.getRowCount() === 0) {
             this.container.innerHTML = '<p class="no-results">No results to display. Run a query to see results here.</p>';
             return;
         }
@@ -55,8 +167,8 @@ class ResultsTable {
      * Render results information
      */
     renderResultsInfo() {
-        const totalRows = this.currentResults.length;
-        const columns = totalRows > 0 ? Object.keys(this.currentResults[0]).length : 0;
+        const totalRows = this.getRowCount();
+        const columns = this.getColumns().length;
         
         const infoDiv = document.createElement('div');
         infoDiv.className = 'results-info';
@@ -72,9 +184,7 @@ class ResultsTable {
      * Render the data table
      */
     renderTable() {
-        const startIndex = (this.currentPage - 1) * this.pageSize;
-        const endIndex = Math.min(startIndex + this.pageSize, this.currentResults.length);
-        const pageResults = this.currentResults.slice(startIndex, endIndex);
+        const pageResults = this.getPageRows();
         
         if (pageResults.length === 0) {
             return;
@@ -84,11 +194,13 @@ class ResultsTable {
         table.className = 'results-table';
         
         // Create header
-        const thead = this.createTableHeader(pageResults[0]);
+        const thead = this.createTableHeader(this.getColumns());
         table.appendChild(thead);
         
         // Create body
-        const tbody = this.createTableBody(pageResults);
+        const tbody = Array.isArray(pageResults)
+            ? this.createTableBody(pageResults)
+            : this.createColumnBody(pageResults);
         table.appendChild(tbody);
         
         this.container.appendChild(table);
@@ -96,14 +208,14 @@ class ResultsTable {
     
     /**
      * Create table header with sorting capabilities
-     * @param {Object} sampleRow - Sample row to get column names
+     * @param {Array<string>} columns - Column names
      * @returns {HTMLElement} Table header element
      */
-    createTableHeader(sampleRow) {
+    createTableHeader(columns) {
         const thead = document.createElement('thead');
         const headerRow = document.createElement('tr');
         
-        Object.keys(sampleRow).forEach(column => {
+        columns.forEach(column => {
             const th = document.createElement('th');
             th.textContent = column;
             th.className = 'sortable';
@@ -168,15 +280,52 @@ class ResultsTable {
         return tbody;
     }
     
+    /**
+     * Create table body from typed columns, formatting each value by its SQL type
+     * @param {ColumnBatch} batch - Page of columns to display
+     * @returns {HTMLElement} Table body element
+     */
+    createColumnBody(batch) {
+        const tbody = document.createElement('tbody');
+        
+        for (let row = 0; row < batch.length; row++) {
+            const tr = document.createElement('tr');
+            tr.className = row % 2 === 0 ? 'even' : 'odd';
+            
+            batch.columns.forEach((column, index) => {
+                const td = document.createElement('td');
+                const text = batch.format(index, row, { grouped: true });
+                
+                if (text === null) {
+                    td.className = 'null-value';
+                    td.textContent = 'NULL';
+                } else {
+                    if (batch.isNumeric(index)) {
+                        td.className = 'number-value';
+                    } else if (column.kind === 'boolean') {
+                        td.className = 'boolean-value';
+                    }
+                    td.textContent = text;
+                }
+                
+                tr.appendChild(td);
+            });
+            
+            tbody.appendChild(tr);
+        }
+        
+        return tbody;
+    }
+    
     /**
      * Render pagination controls
      */
     renderPagination() {
-        if (this.currentResults.length <= this.pageSize) {
+        if (this.getRowCount() <= this.pageSize) {
             return; // No pagination needed
         }
         
-        const totalPages = Math.ceil(this.currentResults.length / this.pageSize);
+        const totalPages = Math.ceil(this.getRowCount() / this.pageSize);
         
         const paginationDiv = document.createElement('div');
         paginationDiv.className = 'pagination';
@@ -234,7 +383,7 @@ class ResultsTable {
         select.addEventListener('change', (e) => {
             this.pageSize = parseInt(e.target.value);
             this.currentPage = 1;
-            this.render();
+            this.showPage();
         });
         
         selectorDiv.appendChild(label);
@@ -246,22 +395,24 @@ class ResultsTable {
     /**
      * Navigate to specific page
      * @param {number} page - Page number to navigate to
+     * @returns {Promise<void>|undefined} For a result set, resolves once the page is shown
      */
     goToPage(page) {
-        const totalPages = Math.ceil(this.currentResults.length / this.pageSize);
+        const totalPages = Math.ceil(this.getRowCount() / this.pageSize);
         
         if (page >= 1 && page <= totalPages) {
             this.currentPage = page;
-            this.render();
+            return this.showPage();
         }
     }
     
     /**
      * Sort results by column
      * @param {string} column - Column name to sort by
+     * @returns {Promise<void>|undefined} For a result set, resolves once the sorted first page is shown
      */
     sortByColumn(column) {
-        if (!this.currentResults || this.currentResults.length === 0) {
+        if (this.getRowCount() === 0) {
             return;
         }
         
@@ -273,6 +424,12 @@ class ResultsTable {
             this.sortDirection = 'asc';
         }
         
+        // A result set is sorted by the query engine, across all rows
+        if (this.resultSet) {
+            this.currentPage = 1;
+            return this.loadPage();
+        }
+        
         // Sort the results
         this.currentResults.sort((a, b) => {
             let valueA = a[column];
@@ -311,6 +468,9 @@ class ResultsTable {
      */
     clear() {
         this.currentResults = null;
+        this.resultSet = null;
+        this.pageRows = [];
+        this.pageRequest++;
         this.currentPage = 1;
         this.sortColumn = null;
         this.sortDirection = 'asc';
@@ -322,23 +482,31 @@ class ResultsTable {
     
     /**
      * Get current results for export
-     * @returns {Array} Current results
+     * @returns {Array} Current results (null for a result set; see getResultSet)
      */
     getCurrentResults() {
         return this.currentResults;
     }
     
+    /**
+     * Get the paged result set being shown, for exporting it in the current sort order
+     * @returns {Object|null} Result set passed to displayResultSet
+     */
+    getResultSet() {
+        return this.resultSet;
+    }
+    
     /**
      * Get formatted results info
      * @returns {Object} Results statistics
      */
     getResultsInfo() {
-        if (!this.currentResults) {
+        if (!this.currentResults && !this.resultSet) {
             return { rows: 0, columns: 0, pages: 0 };
         }
         
-        const rows = this.currentResults.length;
-        const columns = rows > 0 ? Object.keys(this.currentResults[0]).length : 0;
+        const rows = this.getRowCount();
+        const columns = this.getColumns().length;
         const pages = Math.ceil(rows / this.pageSize);
         
         return { rows, columns, pages };
@@ -348,7 +516,7 @@ class ResultsTable {
      * Refresh the display (useful after external changes)
      */
     refresh() {
-        if (this.currentResults) {
+        if (this.currentResults || this.resultSet) {
             this.render();
         }
     }
@@ -67,6 +67,10 @@ class SQLEditor {
             this.removeTable(event.detail.tableName);
             this.updateQueryExample();
         });
+        
+        window.addEventListener('tableRenamed', (event) => {
+            this.renameTable(event.detail.oldName, event.detail.newName);
+        });
     }
     
     /**
@@ -75,14 +79,14 @@ class SQLEditor {
     setInitialQuery() {
         const initialQuery = `-- Welcome to CSV Tools!
 -- 1. Upload CSV files using the dropzone above
--- 2. Files will be automatically assigned table aliases (t1, t2, t3...)
+-- 2. Each file becomes a table named after it (sales_data.csv -> sales_data)
 -- 3. Write SQL queries using these table names
 -- 4. Press Ctrl+Enter to execute
 
 -- Example queries:
--- SELECT * FROM t1 LIMIT 10;
--- SELECT COUNT(*) FROM t1;
--- SELECT column1, column2 FROM t1 WHERE column1 > 100;
+-- SELECT * FROM sales_data LIMIT 10;
+-- SELECT COUNT(*) FROM sales_data;
+-- SELECT column1, column2 FROM sales_data WHERE column1 > 100;
 
 -- Upload a CSV file to get started!`;
         
@@ -189,6 +193,26 @@ FROM ${secondTable};`;
         }
     }
     
+    /**
+     * Rename a table in the available tables list and in the current query text
+     * @param {string} oldName - Previous table name
+     * @param {string} newName - New table name
+     */
+    renameTable(oldName, newName) {
+        const index = this.availableTables.indexOf(oldName);
+        if (index > -1) {
+            this.availableTables[index] = newName;
+            this.availableTables.sort();
+        }
+        
+        let sql = TableNames.replaceReferences(this.getValue(), oldName, newName);
+        sql = sql.replace(/^-- Available tables:.*$/m, `-- Available tables: ${this.availableTables.join(', ')}`);
+        if (sql !== this.getValue()) {
+            this.setValue(sql);
+        }
+        console.log(`Renamed table in SQL editor: ${oldName} → ${newName}`);
+    }
+    
     /**
      * Get list of available tables
      * @returns {Array<string>} Available table names
@@ -0,0 +1,196 @@
+/**
+ * SQL Script
+ * Splits the editor text into statements at the semicolons between them and finds
+ * named parameters (:start_date, $region), leaving strings, quoted names,
+ * dollar-quoted text and comments alone
+ */
+
+// Parameter names, as after : or $
+const PARAMETER_NAME = /^[A-Za-z_][A-Za-z0-9_]*/;
+
+class SQLScript {
+    /**
+     * Split SQL into statements
+     * @param {string} sql - One or more statements separated by semicolons
+     * @returns {Array<{sql: string, line: number}>} Statements without their semicolons, with the
+     *   editor line each starts on. Empty statements and ones that are only comments are left out
+     */
+    static split(sql) {
+        const statements = [];
+        let start = 0;
+        // Where the current statement's first character outside comments is, if it has one yet
+        let codeStart = null;
+        let i = 0;
+        
+        const addStatement = (end) => {
+            if (codeStart !== null) {
+                statements.push({ sql: sql.slice(start, end).trim(), line: sql.slice(0, codeStart).split('\n').length });
+            }
+            start = end + 1;
+            codeStart = null;
+        };
+        const markCode = (index) => {
+            if (codeStart === null) {
+                codeStart = index;
+            }
+        };
+        
+        while (i < sql.length) {
+            const skipped = SQLScript.skipText(sql, i);
+            if (skipped) {
+                if (!skipped.comment) {
+                    markCode(i);
+                }
+                i = skipped.end;
+            } else if (sql[i] === ';') {
+                addStatement(i);
+                i++;
+            } else {
+                if (!/\s/.test(sql[i])) {
+                    markCode(i);
+                }
+                i++;
+            }
+        }
+        addStatement(sql.length);
+        
+        return statements;
+    }
+    
+    /**
+     * Find the named parameters in SQL: :name or $name outside strings and comments.
+     * :: casts, $1 positional parameters, $tag$ quotes, slices (arr[:n]) and the colon
+     * after a struct key ({'k':v}) are not parameters
+     * @param {string} sql - SQL text
+     * @returns {Array<{name: string, index: number, length: number}>} Each use, in order
+     */
+    static findParameters(sql) {
+        const uses = [];
+        // For each open bracket, whether it is a subscript (arr[...]) rather than a list literal
+        const brackets = [];
+        let i = 0;
+        while (i < sql.length) {
+            const skipped = SQLScript.skipText(sql, i);
+            if (skipped) {
+                i = skipped.end;
+            } else if (sql[i] === '[') {
+                brackets.push(/[A-Za-z0-9_\])"]/.test(sql[i - 1] || ''));
+                i++;
+            } else if (sql[i] === ']') {
+                brackets.pop();
+                i++;
+            } else if (sql[i] === ':' && sql[i + 1] === ':') {
+                i += 2;
+            } else if (sql[i] === ':' && (brackets[brackets.length - 1] || /['"]/.test(SQLScript.previousChar(sql, i)))) {
+                i++;
+            } else if ((sql[i] === ':' || sql[i] === '$') && !/[A-Za-z0-9_]/.test(sql[i - 1] || '')) {
+                const name = PARAMETER_NAME.exec(sql.slice(i + 1, i + 129));
+                if (name) {
+                    uses.push({ name: name[0], index: i, length: name[0].length + 1 });
+                    i += name[0].length + 1;
+                } else {
+                    i++;
+                }
+            } else {
+                i++;
+            }
+        }
+        return uses;
+    }
+    
+    /**
+     * The last character before a position that isn't whitespace
+     * @param {string} sql - SQL text
+     * @param {number} index - Position to look back from
+     * @returns {string} The character, or '' at the start
+     */
+    static previousChar(sql, index) {
+        let i = index - 1;
+        while (i >= 0 && /\s/.test(sql[i])) {
+            i--;
+        }
+        return i >= 0 ? sql[i] : '';
+    }
+    
+    /**
+     * Names of the parameters in SQL, each once, in the order they first appear
+     * @param {string} sql - SQL text
+     * @returns {Array<string>}
+     */
+    static parameters(sql) {
+        return [...new Set(SQLScript.findParameters(sql).map(use => use.name))];
+    }
+    
+    /**
+     * Rewrite each parameter use, e.g. to the placeholder syntax an engine binds
+     * @param {string} sql - SQL text
+     * @param {Function} replace - Called with each use's name, returns the text to put in its place
+     * @returns {string}
+     */
+    static replaceParameters(sql, replace) {
+        let rewritten = '';
+        let last = 0;
+        for (const use of SQLScript.findParameters(sql)) {
+            rewritten += sql.slice(last, use.index) + replace(use.name);
+            last = use.index + use.length;
+        }
+        return rewritten + sql.slice(last);
+    }
+    
+    /**
+     * The end of a comment, string, quoted name or dollar-quoted text starting at a position
+     * @param {string} sql - SQL text
+     * @param {number} index - Position to look at
+     * @returns {{end: number, comment: boolean}|null} null if none starts there
+     */
+    static skipText(sql, index) {
+        const char = sql[index];
+        const next = sql[index + 1];
+        const endAfter = (terminator, from) => {
+            const end = sql.indexOf(terminator, from);
+            return end === -1 ? sql.length : end + terminator.length;
+        };
+        
+        if (char === '-' && next === '-') {
+            return { end: endAfter('\n', index), comment: true };
+        }
+        if (char === '/' && next === '*') {
+            return { end: endAfter('*/', index + 2), comment: true };
+        }
+        if (char === "'" || char === '"') {
+            // A doubled quote inside is an escaped quote, which this skips as two strings in a row
+            return { end: endAfter(char, index + 1), comment: false };
+        }
+        const tag = char === '$' ? SQLScript.dollarTag(sql, index) : null;
+        if (tag) {
+            return { end: endAfter(tag, index + tag.length), comment: false };
+        }
+        return null;
+    }
+    
+    /**
+     * The dollar-quote tag starting at a position, e.g. $$ or $body$
+     * @param {string} sql - SQL text
+     * @param {number} index - Position of a $
+     * @returns {string|null} null if the $ doesn't open dollar-quoted text (e.g. a $1 parameter)
+     */
+    static dollarTag(sql, index) {
+        // A $ straight after a name character is part of that name
+        if (index > 0 && /[A-Za-z0-9_]/.test(sql[index - 1])) {
+            return null;
+        }
+        const match = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(index, index + 64));
+        return match ? match[0] : null;
+    }
+    
+    /**
+     * Short label for a statement, e.g. for a result tab
+     * @param {string} sql - Statement
+     * @param {number} maxLength - Longest label before it is cut short
+     * @returns {string}
+     */
+    static label(sql, maxLength = 40) {
+        const text = sql.replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, ' ').replace(/\s+/g, ' ').trim();
+        return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+    }
+}
\ No newline at end of file
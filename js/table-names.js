@@ -0,0 +1,212 @@
+/**
+ * Table Names
+ * Derives readable SQL table names from file names and keeps query text in
+ * step when a table is renamed
+ */
+
+// Words that cannot be used as unquoted table names
+const RESERVED_TABLE_WORDS = new Set([
+    'all', 'analyse', 'analyze', 'and', 'any', 'array', 'as', 'asc', 'asymmetric', 'both',
+    'case', 'cast', 'check', 'collate', 'column', 'constraint', 'create', 'default',
+    'deferrable', 'desc', 'describe', 'distinct', 'do', 'else', 'end', 'except', 'false',
+    'fetch', 'for', 'foreign', 'from', 'grant', 'group', 'having', 'in', 'initially',
+    'intersect', 'into', 'join', 'lateral', 'leading', 'limit', 'not', 'null', 'offset',
+    'on', 'only', 'or', 'order', 'pivot', 'placing', 'primary', 'qualify', 'references',
+    'returning', 'select', 'show', 'some', 'summarize', 'symmetric', 'table', 'then', 'to',
+    'trailing', 'true', 'union', 'unique', 'unpivot', 'using', 'variadic', 'when',
+    'where', 'window', 'with'
+]);
+
+// Tokens: line comments, block comments, string literals, quoted identifiers, words, punctuation
+const SQL_TOKEN_PATTERN = /--[^\n]*|\/\*[\s\S]*?\*\/|'(?:[^']|'')*'|"(?:[^"]|"")*"|[A-Za-z_][A-Za-z0-9_$]*|[(),.;]/g;
+
+// Keywords followed by a table name
+const TABLE_KEYWORDS = new Set(['from', 'join', 'update', 'into', 'table']);
+
+// Keywords that end the comma-separated table list of a FROM clause
+const FROM_LIST_END_KEYWORDS = new Set([
+    'where', 'group', 'having', 'order', 'limit', 'qualify', 'window', 'union', 'except',
+    'intersect', 'on', 'using', 'select', 'set', 'values', 'returning'
+]);
+
+class TableNames {
+    /**
+     * Derive a unique table name from a file name, e.g. "Sales Data.csv" -> sales_data
+     * @param {string} fileName - Original file name
+     * @param {Array<string>} existingNames - Table names already in use
+     * @returns {string} Table name
+     */
+    static fromFileName(fileName, existingNames = []) {
+        let name = fileName
+            .replace(/(\.(csv|tsv|txt|xlsx|xls|parquet|json|ndjson|jsonl|sqlite3?|db|duckdb|gz|zip))+$/i, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9_]+/g, '_')
+            .replace(/_+/g, '_')
+            .replace(/^_|_$/g, '')
+            .slice(0, 60);
+        
+        if (name === '') {
+            name = 'data';
+        }
+        if (/^[0-9]/.test(name)) {
+            name = `t_${name}`;
+        }
+        if (RESERVED_TABLE_WORDS.has(name)) {
+            name = `${name}_data`;
+        }
+        
+        return TableNames.makeUnique(name, existingNames);
+    }
+    
+    /**
+     * Append _2, _3... until the name is not already taken (case-insensitively)
+     * @param {string} name - Candidate name
+     * @param {Array<string>} existingNames - Table names already in use
+     * @returns {string} Unique name
+     */
+    static makeUnique(name, existingNames) {
+        const taken = new Set(existingNames.map(existing => existing.toLowerCase()));
+        let candidate = name;
+        let suffix = 2;
+        while (taken.has(candidate.toLowerCase())) {
+            candidate = `${name}_${suffix++}`;
+        }
+        return candidate;
+    }
+    
+    /**
+     * Check a user-chosen table name
+     * @param {string} name - Proposed name
+     * @param {Array<string>} existingNames - Other table names already in use
+     * @returns {string|null} Error message, or null if the name is valid
+     */
+    static validate(name, existingNames = []) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            return 'Table names must start with a letter or underscore and contain only letters, digits and underscores';
+        }
+        if (RESERVED_TABLE_WORDS.has(name.toLowerCase())) {
+            return `"${name}" is a reserved SQL word`;
+        }
+        if (existingNames.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+            return `A table named "${name}" already exists`;
+        }
+        return null;
+    }
+    
+    /**
+     * Replace references to a table in SQL text: names right after FROM, JOIN, UPDATE,
+     * INTO or TABLE (or a comma in a FROM list), and qualifiers such as t1 in t1.id.
+     * Columns and aliases that share the table's name, string literals, comments and
+     * names qualified by something else (e.g. a.t1) are left alone
+     * @param {string} sql - Query text
+     * @param {string} oldName - Previous table name
+     * @param {string} newName - New table name
+     * @returns {string} Updated query text
+     */
+    static replaceReferences(sql, oldName, newName) {
+        const target = oldName.toLowerCase();
+        let replaced = '';
+        let last = 0;
+        
+        for (const token of TableNames.scanNames(sql)) {
+            if (token.name.toLowerCase() !== target || token.qualified || !(token.tablePosition || token.qualifier)) {
+                continue;
+            }
+            replaced += sql.slice(last, token.index) + (token.text.startsWith('"') ? `"${newName}"` : newName);
+            last = token.index + token.text.length;
+        }
+        return replaced + sql.slice(last);
+    }
+    
+    /**
+     * Which of the given tables some SQL refers to, by the rules of replaceReferences().
+     * Names with a database or schema (shop.orders) match as a whole
+     * @param {string} sql - Query text
+     * @param {Array<string>} tableNames - Tables to look for, e.g. sales or shop.orders
+     * @returns {Array<string>} The referenced ones, in the order given
+     */
+    static findReferences(sql, tableNames) {
+        const tokens = TableNames.scanNames(sql);
+        const found = new Set();
+        
+        tokens.forEach((token, i) => {
+            if (token.qualified || !(token.tablePosition || token.qualifier)) {
+                return;
+            }
+            // Each leading part of a dotted name could be the table: shop, shop.orders, shop.orders.id
+            let path = token.name.toLowerCase();
+            found.add(path);
+            for (let next = i + 1; next < tokens.length; next++) {
+                const previous = tokens[next - 1];
+                if (!tokens[next].qualified || tokens[next].index !== previous.index + previous.text.length + 1) {
+                    break;
+                }
+                path += '.' + tokens[next].name.toLowerCase();
+                found.add(path);
+            }
+        });
+        return tableNames.filter(name => found.has(TableNames.scanNames(name).map(token => token.name.toLowerCase()).join('.')));
+    }
+    
+    /**
+     * The names in SQL text outside comments and string literals, with where each stands
+     * @param {string} sql - Query text
+     * @returns {Array<Object>} {text, index, name (unquoted), qualified (after a dot),
+     *   qualifier (before a dot), tablePosition (where a table name goes)}
+     */
+    static scanNames(sql) {
+        const names = [];
+        let depth = 0;
+        let expectTable = false;
+        // Parenthesis depths of the FROM clauses whose comma-separated tables are still being read
+        const fromDepths = [];
+        
+        for (const match of sql.matchAll(SQL_TOKEN_PATTERN)) {
+            const text = match[0];
+            const lower = text.toLowerCase();
+            if (text.startsWith('--') || text.startsWith('/*') || text.startsWith("'") || text === '.') {
+                continue;
+            }
+            if (text === '(' || text === ')' || text === ';') {
+                depth = text === ';' ? 0 : depth + (text === '(' ? 1 : -1);
+                while (fromDepths.length > 0 && (fromDepths[fromDepths.length - 1] > depth || text === ';')) {
+                    fromDepths.pop();
+                }
+                expectTable = false;
+                continue;
+            }
+            if (text === ',') {
+                expectTable = fromDepths[fromDepths.length - 1] === depth;
+                continue;
+            }
+            
+            const quoted = text.startsWith('"');
+            if (!quoted && TABLE_KEYWORDS.has(lower)) {
+                if (lower === 'from') {
+                    fromDepths.push(depth);
+                }
+                expectTable = true;
+                continue;
+            }
+            if (!quoted && FROM_LIST_END_KEYWORDS.has(lower) && fromDepths[fromDepths.length - 1] === depth) {
+                fromDepths.pop();
+            }
+            
+            const qualified = match.index > 0 && sql[match.index - 1] === '.';
+            const qualifier = sql[match.index + text.length] === '.';
+            names.push({
+                text,
+                index: match.index,
+                name: quoted ? text.slice(1, -1).replace(/""/g, '"') : text,
+                qualified,
+                qualifier,
+                tablePosition: expectTable && !qualified
+            });
+            // A dotted table name (shop.orders) keeps its place until its last part
+            if (!qualifier) {
+                expectTable = false;
+            }
+        }
+        return names;
+    }
+}
\ No newline at end of file
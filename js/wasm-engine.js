@@ -0,0 +1,536 @@
+/**
+ * WASM Engine
+ * Engine adapter for native DuckDB-WASM. Files are read in place through the
+ * browser's file reader rather than copied, and each loaded file becomes a view.
+ * Excel workbooks, attached databases and the other Python-only tools need the
+ * Pyodide engine
+ */
+
+// DuckDB-WASM's ES module; its worker and WebAssembly bundles come from the same CDN
+const DUCKDB_WASM_URL = 'https://cdn.jsdelivr.net/npm/@duckdb/duckdb-wasm@1.29.0/+esm';
+
+// Types a column can be overridden to, as in the Python engine's schema editor
+const OVERRIDE_TYPES = ['VARCHAR', 'INTEGER', 'BIGINT', 'DOUBLE', 'DATE', 'TIMESTAMP', 'BOOLEAN'];
+
+// Placeholders for query parameters whose text DuckDB should read as another type
+const PARAMETER_PLACEHOLDERS = {
+    date: 'CAST(? AS DATE)',
+    timestamp: 'CAST(? AS TIMESTAMP)',
+    // Whole numbers beyond JavaScript's safe integers, bound as text to keep every digit
+    integer: 'CAST(? AS HUGEINT)'
+};
+
+class WasmEngine extends Engine {
+    constructor() {
+        super();
+        this.name = 'wasm';
+        this.duckdb = null;
+        this.db = null;
+        this.conn = null;
+        this.tables = {};
+        
+        // Tables holding the rows of the latest query, or of each statement of the latest script
+        this.results = [];
+        this.resultCounter = 1;
+    }
+    
+    /**
+     * Load DuckDB-WASM from the CDN and open an in-memory database
+     * @param {Function} onStatus - Called with loading status messages
+     * @returns {Promise<void>}
+     */
+    async start(onStatus = () => {}) {
+        onStatus('Loading DuckDB-WASM...');
+        const duckdb = await import(DUCKDB_WASM_URL);
+        const bundle = await duckdb.selectBundle(duckdb.getJsDelivrBundles());
+        
+        // Workers can't be created from another origin's script directly
+        const workerUrl = URL.createObjectURL(new Blob([`importScripts("${bundle.mainWorker}");`], { type: 'text/javascript' }));
+        this.db = new duckdb.AsyncDuckDB(new duckdb.ConsoleLogger(duckdb.LogLevel.WARNING), new Worker(workerUrl));
+        
+        onStatus('Starting DuckDB...');
+        await this.db.instantiate(bundle.mainModule, bundle.pthreadWorker);
+        URL.revokeObjectURL(workerUrl);
+        
+        this.conn = await this.db.connect();
+        this.duckdb = duckdb;
+        
+        // Query results are kept in their own in-memory database, out of SHOW TABLES
+        await this.conn.query("ATTACH ':memory:' AS query_results");
+    }
+    
+    /**
+     * Run SQL and return its rows as plain objects
+     * @param {string} sql - SQL to run
+     * @returns {Promise<Array<Object>>}
+     */
+    async queryRows(sql) {
+        return ColumnBatch.fromArrowTable(await this.conn.query(sql)).toRows();
+    }
+    
+    /**
+     * Run SQL, through a prepared statement when it has ? placeholders to bind
+     * @param {string} sql - SQL to run
+     * @param {Array} values - One value per placeholder
+     * @returns {Promise<Object>} Arrow table
+     */
+    async execute(sql, values = []) {
+        if (values.length === 0) {
+            return this.conn.query(sql);
+        }
+        const statement = await this.conn.prepare(sql);
+        try {
+            return await statement.query(...values);
+        } finally {
+            await statement.close();
+        }
+    }
+    
+    /**
+     * Quote an identifier for use in generated SQL
+     * @param {string} name - Identifier
+     * @returns {string}
+     */
+    static quoteIdentifier(name) {
+        return `"${String(name).replace(/"/g, '""')}"`;
+    }
+    
+    /**
+     * Quote a string literal for use in generated SQL
+     * @param {string} value - Text
+     * @returns {string}
+     */
+    static quoteLiteral(value) {
+        return `'${String(value).replace(/'/g, "''")}'`;
+    }
+    
+    /**
+     * The kind of file a name is, or null for files this engine can't read
+     * @param {string} fileName - File name
+     * @returns {string|null} 'csv', 'parquet' or 'json'
+     */
+    static fileType(fileName) {
+        if (/\.parquet$/i.test(fileName)) return 'parquet';
+        if (/\.(json|ndjson|jsonl)$/i.test(fileName)) return 'json';
+        if (/\.(xlsx|xls|db|duckdb|sqlite3?)$/i.test(fileName)) return null;
+        return 'csv';
+    }
+    
+    /**
+     * Load a CSV, Parquet or JSON file as a view over the file
+     * @param {File} file - File to load
+     * @param {Object} options
+     * @param {string} [options.tableName] - Table name; by default it is named after the file
+     * @param {boolean} [options.hasHeaders=true] - Whether a CSV file starts with a header row
+     * @returns {Promise<Object>} {success, table_name, rows, columns, error}
+     */
+    async loadFile(file, { tableName = null, hasHeaders = true } = {}) {
+        const fileType = WasmEngine.fileType(file.name);
+        if (!fileType) {
+            return { success: false, error: `${file.name}: Excel and database files need the Pyodide engine (open the page with ?engine=pyodide)` };
+        }
+        
+        const existingNames = Object.keys(this.tables);
+        if (tableName) {
+            const nameError = TableNames.validate(tableName, existingNames);
+            if (nameError) {
+                return { success: false, error: nameError };
+            }
+        }
+        const name = tableName || TableNames.fromFileName(file.name, existingNames);
+        const path = `${name}-${file.name}`;
+        
+        try {
+            await this.db.registerFileHandle(path, file, this.duckdb.DuckDBDataProtocol.BROWSER_FILEREADER, true);
+            
+            const info = {
+                filename: file.name,
+                file_type: fileType,
+                size: file.size,
+                has_headers: fileType === 'csv' ? hasHeaders : true,
+                path,
+                type_overrides: {}
+            };
+            await this.conn.query(`CREATE OR REPLACE VIEW ${WasmEngine.quoteIdentifier(name)} AS ${await this.sourceSQL(info)}`);
+            await this.refreshTableInfo(name, info);
+            this.tables[name] = info;
+            
+            console.log(`Loaded ${file.name} as view ${name} with ${info.rows} rows and ${info.columns.length} columns`);
+            return { success: true, table_name: name, rows: info.rows, columns: info.columns, has_headers: info.has_headers };
+        } catch (error) {
+            console.error(`Failed to load ${file.name}:`, error);
+            await this.conn.query(`DROP VIEW IF EXISTS ${WasmEngine.quoteIdentifier(name)}`).catch(() => {});
+            await this.db.dropFile(path).catch(() => {});
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * SELECT over a table's file as its view shows it before type overrides. Headerless
+     * CSV columns are named c1, c2... as in the Python engine
+     * @param {Object} info - Table info
+     * @param {Array<string>} [varcharColumns] - CSV columns (view names) to read as text instead of auto-detected
+     * @returns {Promise<string>}
+     */
+    async sourceSQL(info, varcharColumns = []) {
+        const path = WasmEngine.quoteLiteral(info.path);
+        if (info.file_type === 'parquet') {
+            return `SELECT * FROM read_parquet(${path})`;
+        }
+        if (info.file_type === 'json') {
+            return `SELECT * FROM read_json_auto(${path})`;
+        }
+        
+        const readCSV = (textColumns) => {
+            const types = textColumns.map(column => `${WasmEngine.quoteLiteral(column)}: 'VARCHAR'`).join(', ');
+            return `read_csv_auto(${path}, header = ${info.has_headers}${types ? `, types = {${types}}` : ''})`;
+        };
+        if (info.has_headers) {
+            return `SELECT * FROM ${readCSV(varcharColumns)}`;
+        }
+        
+        const sourceNames = (await this.queryRows(`DESCRIBE SELECT * FROM ${readCSV([])}`)).map(row => row.column_name);
+        const textColumns = sourceNames.filter((source, index) => varcharColumns.includes(`c${index + 1}`));
+        const aliases = sourceNames.map((source, index) => `${WasmEngine.quoteIdentifier(source)} AS c${index + 1}`).join(', ');
+        return `SELECT ${aliases} FROM ${readCSV(textColumns)}`;
+    }
+    
+    /**
+     * Store a view's row count, columns and column types in its info
+     * @param {string} tableName - View name
+     * @param {Object} info - Table info to update
+     * @returns {Promise<void>}
+     */
+    async refreshTableInfo(tableName, info) {
+        const quoted = WasmEngine.quoteIdentifier(tableName);
+        const columns = await this.queryRows(`DESCRIBE ${quoted}`);
+        info.rows = (await this.queryRows(`SELECT COUNT(*) AS count FROM ${quoted}`))[0].count;
+        info.columns = columns.map(column => column.column_name);
+        info.column_types = Object.fromEntries(columns.map(column => [column.column_name, column.column_type]));
+    }
+    
+    /**
+     * Run a query once into a result table, as the Python engine does, whose rows are
+     * fetched a page at a time. Statements that can't be a subquery (PRAGMA, DDL...)
+     * run directly and hand back every row, which is then paged here
+     * @param {string} sql - SQL to run
+     * @param {number} pageSize - Rows in the first page
+     * @param {Object} [options]
+     * @param {boolean} [options.keepResults=false] - Keep earlier results pageable (later statements of a script)
+     * @param {Object} [options.parameters] - {name: {type, value}} for the named parameters, bound through a prepared statement
+     * @returns {Promise<Object>} {success, rows, columns, page, fetchPage, query} or {success: false, error}
+     */
+    async runQuery(sql, pageSize = 100, { keepResults = false, parameters = {} } = {}) {
+        try {
+            if (!keepResults) {
+                await this.closeResults();
+            }
+            
+            // Prepared statements take positional ? placeholders, one value per use
+            const values = [];
+            const bound = Engine.bindParameters(sql, parameters, (name, parameter) => {
+                values.push(WasmEngine.parameterValue(parameter));
+                return WasmEngine.parameterPlaceholder(parameter);
+            });
+            
+            const body = bound.sql.replace(/[\s;]+$/, '');
+            let names;
+            try {
+                const empty = await this.execute(`SELECT * FROM (\n${body}\n) LIMIT 0`, values);
+                names = empty.schema.fields.map(field => field.name);
+            } catch (error) {
+                if (!/^Parser Error/.test(error.message)) {
+                    throw error;
+                }
+                return Engine.localResult(ColumnBatch.fromArrowTable(await this.execute(bound.sql, values)), sql, pageSize);
+            }
+            
+            // A table can't have two columns of one name, which SELECT * over a join often gives
+            const columns = WasmEngine.uniqueColumnNames(names);
+            const table = `query_results.result_${this.resultCounter++}`;
+            await this.execute(
+                `CREATE TABLE ${table} AS SELECT * FROM (\n${body}\n) AS query_result(${columns.map(WasmEngine.quoteIdentifier).join(', ')})`,
+                values
+            );
+            this.results.push(table);
+            const [{ count }] = await this.queryRows(`SELECT COUNT(*) AS count FROM ${table}`);
+            
+            const fetchPage = async (offset, limit, sortColumn, sortDirection) => {
+                if (!this.results.includes(table)) {
+                    throw new Error('These results are no longer available. Run the query again.');
+                }
+                const order = sortColumn
+                    ? `ORDER BY ${WasmEngine.quoteIdentifier(sortColumn)} ${sortDirection === 'desc' ? 'DESC' : 'ASC'} NULLS LAST, rowid`
+                    : 'ORDER BY rowid';
+                return ColumnBatch.fromArrowTable(await this.conn.query(`SELECT * FROM ${table} ${order} LIMIT ${Number(limit)} OFFSET ${Number(offset)}`));
+            };
+            return { success: true, rows: Number(count), columns, page: await fetchPage(0, pageSize), fetchPage, query: sql };
+        } catch (error) {
+            console.error('Query failed:', error);
+            return { success: false, error: error.message, query: sql };
+        }
+    }
+    
+    /**
+     * Drop the result tables of earlier queries, freeing their rows
+     * @returns {Promise<void>}
+     */
+    async closeResults() {
+        const tables = this.results;
+        this.results = [];
+        for (const table of tables) {
+            await this.conn.query(`DROP TABLE IF EXISTS ${table}`).catch(error => console.error(`Failed to drop ${table}:`, error));
+        }
+    }
+    
+    /**
+     * Result column names with repeats numbered (id, id -> id, id_1), as column names ignore case.
+     * This is DuckDB's own renaming, so names are the same whether or not DuckDB renamed them first
+     * @param {Array<string>} names - Column names
+     * @returns {Array<string>}
+     */
+    static uniqueColumnNames(names) {
+        const taken = new Set();
+        return names.map(name => {
+            let candidate = name;
+            for (let suffix = 1; taken.has(candidate.toLowerCase()); suffix++) {
+                candidate = `${name}_${suffix}`;
+            }
+            taken.add(candidate.toLowerCase());
+            return candidate;
+        });
+    }
+    
+    /**
+     * JavaScript value to bind for a query parameter; an empty value other than text is NULL.
+     * Whole numbers too large for a JavaScript number stay text (see parameterPlaceholder)
+     * @param {Object} parameter - {type, value}
+     * @returns {string|number|null}
+     */
+    static parameterValue({ type, value }) {
+        if (value === '' && type !== 'text') {
+            return null;
+        }
+        if (type === 'number') {
+            if (WasmEngine.isLargeInteger(value)) {
+                return String(value).trim();
+            }
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                throw new Error(`"${value}" is not a number`);
+            }
+            return number;
+        }
+        return String(value);
+    }
+    
+    /**
+     * Placeholder for a query parameter, casting text DuckDB should read as another type
+     * @param {Object} parameter - {type, value}
+     * @returns {string}
+     */
+    static parameterPlaceholder({ type, value }) {
+        if (type === 'number' && WasmEngine.isLargeInteger(value)) {
+            return PARAMETER_PLACEHOLDERS.integer;
+        }
+        return PARAMETER_PLACEHOLDERS[type] || '?';
+    }
+    
+    /**
+     * Whether text is a whole number that a JavaScript number can't hold exactly
+     * @param {string} value - Parameter value
+     * @returns {boolean}
+     */
+    static isLargeInteger(value) {
+        const text = String(value).trim();
+        return /^-?\d+$/.test(text) && !Number.isSafeInteger(Number(text));
+    }
+    
+    /**
+     * Column names and types of a table, with any type overrides
+     * @param {string} tableName - Table to describe
+     * @returns {Promise<Object>} {success, columns: [{name, type, detected_type, override}]}
+     */
+    async describeTable(tableName) {
+        const info = this.tables[tableName];
+        if (!info) {
+            return { success: false, error: 'View not found' };
+        }
+        
+        try {
+            const detected = await this.queryRows(`DESCRIBE ${await this.sourceSQL(info)}`);
+            const detectedTypes = Object.fromEntries(detected.map(row => [row.column_name, row.column_type]));
+            const current = await this.queryRows(`DESCRIBE ${WasmEngine.quoteIdentifier(tableName)}`);
+            return {
+                success: true,
+                columns: current.map(row => ({
+                    name: row.column_name,
+                    type: row.column_type,
+                    detected_type: detectedTypes[row.column_name] || row.column_type,
+                    override: info.type_overrides[row.column_name] || null
+                }))
+            };
+        } catch (error) {
+            console.error(`Failed to describe columns of ${tableName}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Loaded tables and what is known about them
+     * @returns {Promise<Object>} {tables: {name: {filename, file_type, rows, columns, ...}}, count}
+     */
+    async listTables() {
+        return { tables: { ...this.tables }, count: Object.keys(this.tables).length };
+    }
+    
+    /**
+     * Drop a table's view and release its file
+     * @param {string} tableName - Table to drop
+     * @returns {Promise<Object>} {success, error}
+     */
+    async dropTable(tableName) {
+        try {
+            await this.conn.query(`DROP VIEW IF EXISTS ${WasmEngine.quoteIdentifier(tableName)}`);
+            const info = this.tables[tableName];
+            if (info) {
+                delete this.tables[tableName];
+                await this.db.dropFile(info.path);
+            }
+            console.log(`Dropped view ${tableName}`);
+            return { success: true };
+        } catch (error) {
+            console.error(`Failed to drop view ${tableName}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Rename a table, keeping its place in the table list
+     * @param {string} tableName - Current name
+     * @param {string} newName - New name
+     * @returns {Promise<Object>} {success, table_name, error}
+     */
+    async renameTable(tableName, newName) {
+        if (!this.tables[tableName]) {
+            return { success: false, error: 'View not found' };
+        }
+        if (newName === tableName) {
+            return { success: true, table_name: tableName };
+        }
+        
+        const nameError = TableNames.validate(newName, Object.keys(this.tables).filter(name => name !== tableName));
+        if (nameError) {
+            return { success: false, error: nameError };
+        }
+        
+        try {
+            await this.conn.query(`ALTER VIEW ${WasmEngine.quoteIdentifier(tableName)} RENAME TO ${WasmEngine.quoteIdentifier(newName)}`);
+            this.tables = Object.fromEntries(Object.entries(this.tables).map(([name, info]) => [name === tableName ? newName : name, info]));
+            return { success: true, table_name: newName };
+        } catch (error) {
+            console.error(`Failed to rename view ${tableName}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Override column types ({column: {type: 'DATE', format: '%d/%m/%Y'}}) and recreate the view.
+     * If values in any column fail to convert nothing changes and the failures are reported
+     * per column. An empty mapping goes back to the detected types
+     * @param {string} tableName - Table to change
+     * @param {Object} overrides - {column: {type, format}}
+     * @returns {Promise<Object>} {success, columns, column_types} or {success: false, error, column_errors?}
+     */
+    async setColumnTypes(tableName, overrides) {
+        const info = this.tables[tableName];
+        if (!info) {
+            return { success: false, error: 'View not found' };
+        }
+        
+        for (const [column, override] of Object.entries(overrides)) {
+            if (!info.columns.includes(column)) {
+                return { success: false, error: `Column "${column}" not found` };
+            }
+            const typeError = WasmEngine.checkTypeOverride(override);
+            if (typeError) {
+                return { success: false, error: `${column}: ${typeError}` };
+            }
+        }
+        
+        try {
+            // CSV columns being overridden are re-read as text so nothing is lost to auto-detection
+            const baseSQL = await this.sourceSQL(info, info.file_type === 'csv' ? Object.keys(overrides) : []);
+            
+            const columnErrors = [];
+            for (const [column, override] of Object.entries(overrides)) {
+                const columnSQL = WasmEngine.quoteIdentifier(column);
+                const [check] = await this.queryRows(`
+                    SELECT COUNT(*) AS failures, ANY_VALUE(CAST(${columnSQL} AS VARCHAR)) AS example
+                    FROM (${baseSQL}) AS source
+                    WHERE ${columnSQL} IS NOT NULL AND ${WasmEngine.conversionSQL(columnSQL, override, false)} IS NULL
+                `);
+                if (check.failures) {
+                    columnErrors.push({ column, type: override.type, failures: check.failures, example: check.example });
+                }
+            }
+            if (columnErrors.length > 0) {
+                return { success: false, error: 'Some values could not be converted', column_errors: columnErrors };
+            }
+            
+            const replacements = Object.entries(overrides)
+                .map(([column, override]) => `${WasmEngine.conversionSQL(WasmEngine.quoteIdentifier(column), override)} AS ${WasmEngine.quoteIdentifier(column)}`)
+                .join(', ');
+            const selectSQL = replacements ? `SELECT * REPLACE (${replacements}) FROM (${baseSQL}) AS source` : baseSQL;
+            await this.conn.query(`CREATE OR REPLACE VIEW ${WasmEngine.quoteIdentifier(tableName)} AS ${selectSQL}`);
+            
+            await this.refreshTableInfo(tableName, info);
+            info.type_overrides = overrides;
+            
+            console.log(`Applied type overrides to ${tableName}:`, overrides);
+            return { success: true, table_name: tableName, columns: info.columns, column_types: info.column_types };
+        } catch (error) {
+            console.error(`Failed to set column types for ${tableName}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Error message for a type override the schema editor doesn't offer
+     * @param {Object} override - {type, format}
+     * @returns {string|null} null if the override is valid
+     */
+    static checkTypeOverride(override) {
+        const typeName = String(override.type || '').toUpperCase();
+        const decimal = typeName.match(/^DECIMAL\((\d+),(\d+)\)$/);
+        if (decimal) {
+            const precision = Number(decimal[1]);
+            const scale = Number(decimal[2]);
+            if (precision < 1 || precision > 38 || scale > precision) {
+                return 'DECIMAL precision must be 1-38 and scale no larger than precision';
+            }
+        } else if (!OVERRIDE_TYPES.includes(typeName)) {
+            return `Unsupported type ${typeName}`;
+        }
+        if (override.format && typeName !== 'DATE' && typeName !== 'TIMESTAMP') {
+            return `${typeName} does not take a format`;
+        }
+        return null;
+    }
+    
+    /**
+     * SQL converting a column to an override's type; the non-strict form yields NULL on failure
+     * @param {string} columnSQL - Quoted column
+     * @param {Object} override - {type, format}
+     * @param {boolean} strict - Fail on values that don't convert
+     * @returns {string}
+     */
+    static conversionSQL(columnSQL, override, strict = true) {
+        const typeName = override.type.toUpperCase();
+        if (override.format) {
+            const parsed = `${strict ? 'strptime' : 'try_strptime'}(CAST(${columnSQL} AS VARCHAR), ${WasmEngine.quoteLiteral(override.format)})`;
+            return typeName === 'DATE' ? `CAST(${parsed} AS DATE)` : parsed;
+        }
+        return `${strict ? 'CAST' : 'TRY_CAST'}(${columnSQL} AS ${typeName})`;
+    }
+}
\ No newline at end of file
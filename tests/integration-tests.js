@@ -110,6 +110,26 @@ testRunner.test('Integration - Multiple CSV Files Workflow', async () => {
     }
 }, 'integration');
 
+testRunner.test('Integration - Join With Repeated Column Names', async () => {
+    const duckdb = new DuckDBManager();
+    await duckdb.initialize();
+    
+    try {
+        await duckdb.loadCSV(TestUtils.createCSVFile('id,name\n1,Alice\n2,Bob', 'people.csv'), 'people');
+        await duckdb.loadCSV(TestUtils.createCSVFile('id,name\n1,Admin\n2,Staff', 'roles.csv'), 'roles');
+        
+        // Both tables have id and name, so SELECT * returns each twice
+        const rows = await duckdb.runQuery('SELECT * FROM people p JOIN roles r ON p.id = r.id ORDER BY p.id');
+        Assert.assertEqual(2, rows.length, 'A SELECT * join should run');
+        Assert.assertEqual(4, Object.keys(rows[0]).length, 'Repeated columns should get names of their own');
+        Assert.assertEqual('Alice', rows[0].name);
+        Assert.assertEqual('id,name,id_1,name_1', Object.keys(rows[0]).join(','), 'Repeats should be numbered the way DuckDB numbers them');
+        Assert.assertEqual('Admin', rows[0].name_1, 'The second name column should be kept');
+    } finally {
+        await duckdb.close();
+    }
+}, 'integration');
+
 testRunner.test('Integration - File Handler with DuckDB', async () => {
     // Create test DOM elements
     const dropzoneDiv = document.createElement('div');
@@ -393,4 +413,204 @@ testRunner.test('Integration - Error Handling and Recovery', async () => {
     } finally {
         await duckdb.close();
     }
+}, 'integration');
+
+// Python engine tools (engine.tools), on a Pyodide engine of their own
+const NESTED_JSON = JSON.stringify([
+    { id: 1, user: { name: 'Ann', address: { city: 'Oslo' } }, tags: ['a', 'b'] },
+    { id: 2, user: { name: 'Bo', address: { city: 'Rome' } }, tags: [] }
+]);
+
+testRunner.test('Integration - JSON Flattened Columns', async () => {
+    const engine = await TestUtils.pythonEngine();
+    const duckdb = new DuckDBManager(engine);
+    await duckdb.initialize();
+    
+    try {
+        const loaded = await engine.tools.load_json_file(await engine.upload(new File([NESTED_JSON], 'flat_users.json')), 'flat_users.json', true);
+        Assert.assertTrue(loaded.success, loaded.error);
+        Assert.assertEqual('id,user.name,user.address.city,tags', loaded.columns.join(','), 'STRUCT fields should become dotted columns');
+        Assert.assertEqual('VARCHAR[]', loaded.column_types.tags, 'LIST columns should be kept whole');
+        
+        const rows = await duckdb.runQuery('SELECT "user.address.city" AS city, len(tags) AS tag_count FROM flat_users ORDER BY id');
+        Assert.assertEqual('Oslo,Rome', rows.map(row => row.city).join(','));
+        Assert.assertEqual(2, Number(rows[0].tag_count));
+    } finally {
+        await engine.dropTable('flat_users');
+    }
+}, 'integration');
+
+testRunner.test('Integration - JSON STRUCT And LIST Columns', async () => {
+    const engine = await TestUtils.pythonEngine();
+    const duckdb = new DuckDBManager(engine);
+    await duckdb.initialize();
+    
+    try {
+        const loaded = await engine.tools.load_json_file(await engine.upload(new File([NESTED_JSON], 'nested_users.json')), 'nested_users.json', false);
+        Assert.assertTrue(loaded.success, loaded.error);
+        Assert.assertFalse(loaded.flatten_nested);
+        Assert.assertEqual('id,user,tags', loaded.columns.join(','), 'Nested objects should stay one column');
+        Assert.assertTrue(loaded.column_types.user.startsWith('STRUCT('), `user should be a STRUCT, got ${loaded.column_types.user}`);
+        Assert.assertEqual('VARCHAR[]', loaded.column_types.tags);
+        
+        const rows = await duckdb.runQuery('SELECT "user".address.city AS city, tags[1] AS first_tag FROM nested_users ORDER BY id');
+        Assert.assertEqual('Oslo', rows[0].city);
+        Assert.assertEqual('a', rows[0].first_tag);
+        Assert.assertNull(rows[1].first_tag);
+        
+        const flattened = await engine.tools.reload_json_with_options('nested_users', true);
+        Assert.assertTrue(flattened.success, flattened.error);
+        Assert.assertEqual('id,user.name,user.address.city,tags', flattened.columns.join(','), 'Reloading should flatten the same file');
+    } finally {
+        await engine.dropTable('nested_users');
+    }
+}, 'integration');
+
+testRunner.test('Integration - JSON Reload Keeps The Previous View On Failure', async () => {
+    const engine = await TestUtils.pythonEngine();
+    const record = '{"id": 1, "user": {"name": "Ann"}}\n';
+    
+    const loaded = await engine.tools.load_json_file(await engine.upload(new File([record.repeat(3)], 'events.json')), 'events.json', false);
+    try {
+        Assert.assertTrue(loaded.success, loaded.error);
+        
+        // A malformed record past the rows DuckDB samples: the view still binds, but reading it fails
+        const { temp_path: tempPath } = (await engine.listTables()).tables[loaded.table_name];
+        const brokenPath = await engine.upload(new File([record.repeat(30000) + '{"id": \n'], 'events.json'));
+        await engine.tools._take_upload(brokenPath, tempPath);
+        
+        const result = await engine.tools.reload_json_with_options(loaded.table_name, true);
+        Assert.assertFalse(result.success, 'Reading the broken file should fail');
+        
+        const info = (await engine.listTables()).tables[loaded.table_name];
+        Assert.assertFalse(info.flatten_nested, 'The table should keep its previous settings');
+        Assert.assertEqual('id,user', info.columns.join(','));
+        const described = await engine.describeTable(loaded.table_name);
+        Assert.assertTrue(described.success, 'The previous view should be back');
+        Assert.assertTrue(described.columns[1].type.startsWith('STRUCT('), 'The previous view should keep nested columns');
+    } finally {
+        await engine.dropTable(loaded.table_name);
+    }
+}, 'integration');
+
+testRunner.test('Integration - Failed JSON Load Leaves Nothing Behind', async () => {
+    const engine = await TestUtils.pythonEngine();
+    
+    // Fails on COUNT(*), after the view was created over the copied file
+    const broken = '{"id": 1}\n'.repeat(30000) + '{"id": \n';
+    const failed = await engine.tools.load_json_file(await engine.upload(new File([broken], 'broken.json')), 'broken.json', true);
+    Assert.assertFalse(failed.success, 'A malformed record should fail the load');
+    Assert.assertFalse('broken' in (await engine.listTables()).tables);
+    
+    const loaded = await engine.tools.load_json_file(await engine.upload(new File(['{"id": 1}\n'], 'broken.json')), 'broken.json', true);
+    try {
+        Assert.assertTrue(loaded.success, loaded.error);
+        Assert.assertEqual('broken', loaded.table_name, 'The failed load should not leave a view holding the name');
+    } finally {
+        await engine.dropTable(loaded.table_name);
+    }
+}, 'integration');
+
+testRunner.test('Integration - Ragged CSV With Rejects Kept', async () => {
+    const engine = await TestUtils.pythonEngine();
+    const duckdb = new DuckDBManager(engine);
+    await duckdb.initialize();
+    
+    // Takes the name the rejects table would otherwise get
+    const blocker = await engine.tools.load_csv_file(await engine.upload(TestUtils.createCSVFile('a\n1', 'ragged_rejects.csv')), 'ragged_rejects.csv', true, null);
+    const csv = 'id,name,score\n1,Ann,10\n2,Bo\n3,Cy,30\n4,Di,40,extra\n5,Ed,50\n';
+    const loaded = await engine.tools.load_csv_file(await engine.upload(TestUtils.createCSVFile(csv, 'ragged.csv')), 'ragged.csv', true, { keep_rejects: true });
+    try {
+        Assert.assertTrue(loaded.success, loaded.error);
+        Assert.assertEqual(3, loaded.rows, 'Only the well-formed rows should be loaded');
+        Assert.assertEqual(2, loaded.reject_count);
+        Assert.assertEqual('ragged_rejects_2', loaded.rejects_table, 'The rejects table should not take an existing name');
+        Assert.assertEqual(2, (await engine.listTables()).tables.ragged.reject_count);
+        
+        const rejects = await duckdb.runQuery(`SELECT * FROM ${loaded.rejects_table} ORDER BY line`);
+        Assert.assertEqual('line,column_name,error_type,error_message,csv_line', Object.keys(rejects[0]).join(','));
+        Assert.assertEqual(3, Number(rejects[0].line), 'Lines should count the header');
+        Assert.assertEqual('MISSING COLUMNS', rejects[0].error_type);
+        Assert.assertEqual('2,Bo', rejects[0].csv_line);
+        Assert.assertEqual('TOO MANY COLUMNS', rejects[1].error_type);
+        Assert.assertEqual('4,Di,40,extra', rejects[1].csv_line);
+        
+        await engine.dropTable('ragged');
+        const remaining = await duckdb.runQuery("SELECT table_name FROM duckdb_tables() WHERE table_name LIKE 'ragged%'");
+        Assert.assertLength(remaining, 0, 'Dropping the table should drop its rejects table');
+    } finally {
+        await engine.dropTable('ragged');
+        await engine.dropTable(blocker.table_name);
+    }
+}, 'integration');
+
+testRunner.test('Integration - Materialize And Dematerialize', async () => {
+    const engine = await TestUtils.pythonEngine();
+    const duckdb = new DuckDBManager(engine);
+    await duckdb.initialize();
+    
+    const loaded = await engine.tools.load_csv_file(await engine.upload(TestUtils.createCSVFile(TestUtils.createSampleCSV(5), 'kept_people.csv')), 'kept_people.csv', true, null);
+    const tableName = loaded.table_name;
+    const snapshot = async () => JSON.stringify({
+        rows: await duckdb.runQuery(`SELECT * FROM ${tableName} ORDER BY id`),
+        columns: (await engine.describeTable(tableName)).columns
+    });
+    const storedAs = async () => (await duckdb.runQuery(
+        `SELECT 'table' AS kind FROM duckdb_tables() WHERE table_name = '${tableName}' UNION ALL SELECT 'view' FROM duckdb_views() WHERE view_name = '${tableName}'`
+    )).map(row => row.kind).join(',');
+    
+    try {
+        Assert.assertTrue(loaded.success, loaded.error);
+        const asView = await snapshot();
+        
+        const materialized = await engine.tools.set_materialized(tableName, true);
+        Assert.assertTrue(materialized.materialized, materialized.error);
+        Assert.assertEqual('table', await storedAs());
+        Assert.assertEqual(asView, await snapshot(), 'The table should hold the same rows and columns as the view');
+        
+        // Reloading re-reads the file and loads it into memory again
+        const headerless = await engine.tools.reload_table_with_headers(tableName, false);
+        Assert.assertTrue(headerless.success, headerless.error);
+        Assert.assertEqual(6, headerless.rows, 'The header line should become a row');
+        Assert.assertTrue((await engine.listTables()).tables[tableName].materialized, 'The table should stay materialized');
+        Assert.assertEqual('table', await storedAs());
+        
+        await engine.tools.reload_table_with_headers(tableName, true);
+        Assert.assertEqual(asView, await snapshot());
+        
+        const dematerialized = await engine.tools.set_materialized(tableName, false);
+        Assert.assertFalse(dematerialized.materialized, dematerialized.error);
+        Assert.assertEqual('view', await storedAs());
+        Assert.assertEqual(asView, await snapshot(), 'The view should be the one the table was loaded from');
+    } finally {
+        await engine.dropTable(tableName);
+    }
+}, 'integration');
+
+testRunner.test('Integration - Combined CSVs With Different Columns', async () => {
+    const engine = await TestUtils.pythonEngine();
+    const duckdb = new DuckDBManager(engine);
+    await duckdb.initialize();
+    
+    // One file already has a source_file column, so the added one has to take another name
+    const paths = [
+        await engine.upload(TestUtils.createCSVFile('id,source_file\n1,manual\n', 'sales_jan.csv')),
+        await engine.upload(TestUtils.createCSVFile('id,amount\n2,5\n3,7\n', 'sales_feb.csv'))
+    ];
+    const combined = await engine.tools.load_combined_csv_files(paths, ['sales_jan.csv', 'sales_feb.csv'], true);
+    try {
+        Assert.assertTrue(combined.success, combined.error);
+        Assert.assertEqual('id,source_file,amount,_source_file', combined.columns.join(','));
+        Assert.assertEqual(JSON.stringify([
+            { column: 'source_file', files: ['sales_jan.csv'], missing_from: ['sales_feb.csv'] },
+            { column: 'amount', files: ['sales_feb.csv'], missing_from: ['sales_jan.csv'] }
+        ]), JSON.stringify(combined.partial_columns), 'Columns only some files have should be reported');
+        Assert.assertEqual('_source_file', (await engine.listTables()).tables[combined.table_name].source_column);
+        
+        const rows = await duckdb.runQuery(`SELECT source_file, _source_file FROM ${combined.table_name} ORDER BY id`);
+        Assert.assertEqual('manual', rows[0].source_file, 'The file\'s own column should keep its values');
+        Assert.assertEqual('sales_jan.csv,sales_feb.csv,sales_feb.csv', rows.map(row => row._source_file).join(','), 'Rows should name their file without its path');
+    } finally {
+        await engine.dropTable(combined.table_name);
+    }
 }, 'integration');
\ No newline at end of file
@@ -442,8 +442,36 @@ class Assert {
     }
 }
 
+// Pyodide engine for tests of the Python-only tools, started on first use
+let pythonTestEngine = null;
+
 // Helper functions for creating test data
 class TestUtils {
+    /**
+     * Start a Pyodide engine for tests of engine.tools. The test page has no Python module
+     * of its own, so it is read from index.html; one engine is shared by those tests
+     * @returns {Promise<PyodideEngine>} Started engine
+     */
+    static pythonEngine() {
+        if (!pythonTestEngine) {
+            pythonTestEngine = (async () => {
+                const page = new DOMParser().parseFromString(await (await fetch('../index.html')).text(), 'text/html');
+                const pythonCode = document.importNode(page.getElementById('python-code'), true);
+                document.body.appendChild(pythonCode);
+                try {
+                    const engine = new PyodideEngine();
+                    await engine.start();
+                    return engine;
+                } finally {
+                    // Engine.choose() would otherwise pick Pyodide for the other tests
+                    pythonCode.remove();
+                }
+            })();
+            pythonTestEngine.catch(() => { pythonTestEngine = null; });
+        }
+        return pythonTestEngine;
+    }
+    
     /**
      * Create a test CSV file
      * @param {string} content - CSV content
@@ -467,6 +495,52 @@ class TestUtils {
         return csv;
     }
     
+    /**
+     * Create an uncompressed (stored) zip archive
+     * CRC fields are left as zero, which is enough for the archive reader
+     * @param {Object} files - Map of path to text content
+     * @param {string} filename - Archive name
+     * @returns {File} Zip file
+     */
+    static createZipFile(files, filename = 'test.zip') {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+        
+        for (const [path, content] of Object.entries(files)) {
+            const name = encoder.encode(path);
+            const data = encoder.encode(content);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            localParts.push(local.buffer, name, data);
+            
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(central.buffer, name);
+            
+            offset += 30 + name.length + data.length;
+        }
+        
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        return new File([...localParts, ...centralParts, end.buffer], filename, { type: 'application/zip' });
+    }
+    
     /**
      * Wait for specified time
      * @param {number} ms - Milliseconds to wait
@@ -161,6 +161,187 @@ testRunner.test('CSV Exporter - Data Validation', async () => {
     Assert.assertEqual(2, validValidation.stats.columns, 'Should report correct column count');
 }, 'unit');
 
+// Column Batch Tests
+// Stand-ins for apache-arrow vectors: only get(index) is used
+function typedColumns() {
+    const vector = values => ({ get: index => values[index] });
+    return new ColumnBatch([
+        { name: 'id', kind: 'integer', vector: vector([9007199254740993n, 2n, null]) },
+        // DECIMAL(10,2) values as Arrow's little-endian 32-bit words: 123.45, -123.45, 0.05
+        { name: 'price', kind: 'decimal', scale: 2, vector: vector([
+            Uint32Array.of(12345, 0, 0, 0),
+            Uint32Array.of(0xFFFFCFC7, 0xFFFFFFFF, 0xFFFFFFFF, 0xFFFFFFFF),
+            Uint32Array.of(5, 0, 0, 0)
+        ]) },
+        { name: 'day', kind: 'date', vector: vector([Date.UTC(2024, 0, 31), null, Date.UTC(1999, 11, 1)]) },
+        { name: 'at', kind: 'timestamp', vector: vector([Date.UTC(2024, 0, 31, 12, 30) + 0.5, Date.UTC(2024, 0, 1), null]) },
+        { name: 'note', kind: 'string', vector: vector(['a, "b"', null, 'c']) }
+    ], 3);
+}
+
+testRunner.test('Column Batch - Typed Values', async () => {
+    const batch = typedColumns();
+    
+    Assert.assertEqual(3, batch.length);
+    Assert.assertEqual('9007199254740993', batch.format(0, 0), '64-bit integers should keep every digit');
+    Assert.assertEqual('123.45', batch.format(1, 0), 'Decimals should use the column scale');
+    Assert.assertEqual('-123.45', batch.format(1, 1), 'Negative decimals should decode from two\'s complement');
+    Assert.assertEqual('0.05', batch.format(1, 2));
+    Assert.assertEqual('2024-01-31', batch.format(2, 0), 'Dates should format as ISO dates in UTC');
+    Assert.assertEqual('2024-01-31 12:30:00.0005', batch.format(3, 0), 'Timestamps should keep microseconds');
+    Assert.assertEqual('2024-01-01 00:00:00', batch.format(3, 1));
+    Assert.assertNull(batch.format(0, 2), 'NULL should format as null');
+    Assert.assertTrue(batch.isNumeric(1), 'Decimals should count as numeric');
+    
+    const sorted = batch.sort('price', 'asc');
+    Assert.assertEqual('-123.45', sorted.format(1, 0), 'Decimals should sort by value');
+    Assert.assertEqual('123.45', sorted.format(1, 2));
+    
+    const byDay = batch.sort('day', 'desc');
+    Assert.assertEqual('1999-12-01', byDay.format(2, 1), 'Dates should sort by value');
+    Assert.assertNull(byDay.format(2, 2), 'NULLs should sort last');
+    
+    const page = sorted.slice(1, 5);
+    Assert.assertEqual(2, page.length, 'Slices should stop at the last row');
+    Assert.assertEqual('0.05', page.format(1, 0), 'Slices should keep the sort order');
+}, 'unit');
+
+testRunner.test('CSV Exporter - Typed Columns', async () => {
+    const exporter = new CSVExporter();
+    const lines = exporter.convertColumnsToCSV(typedColumns()).trim().split('\n');
+    
+    Assert.assertEqual('id,price,day,at,note', lines[0], 'Should start with the column names');
+    Assert.assertEqual('9007199254740993,123.45,2024-01-31,2024-01-31 12:30:00.0005,"a, ""b"""', lines[1], 'Values should be exported exactly, without digit grouping');
+    Assert.assertEqual('2,-123.45,,2024-01-01 00:00:00,', lines[2], 'NULLs should become empty');
+    
+    const withoutHeaders = exporter.convertColumnsToCSV(typedColumns().slice(2, 3), false);
+    Assert.assertEqual(',0.05,1999-12-01,,c\n', withoutHeaders, 'Later pages of an export should leave out the header row');
+}, 'unit');
+
+testRunner.test('Column Batch - Plain Rows', async () => {
+    const rows = typedColumns().toRows();
+    
+    Assert.assertEqual(3, rows.length);
+    Assert.assertEqual('9007199254740993', rows[0].id, 'Integers a number cannot hold exactly should stay text');
+    Assert.assertEqual(2, rows[1].id, 'Other integers should become numbers');
+    Assert.assertEqual(-123.45, rows[1].price, 'Decimals should become numbers');
+    Assert.assertEqual('2024-01-31', rows[0].day, 'Dates should become their formatted text');
+    Assert.assertNull(rows[2].id, 'NULL should stay null');
+    Assert.assertEqual('a, "b"', rows[0].note);
+}, 'unit');
+
+testRunner.test('Engine - Local Results', async () => {
+    const result = Engine.localResult(typedColumns(), 'SELECT 1', 2);
+    
+    Assert.assertTrue(result.success);
+    Assert.assertEqual(3, result.rows);
+    Assert.assertEqual('id', result.columns[0]);
+    Assert.assertEqual(2, result.page.length, 'The first page should hold pageSize rows');
+    
+    const sorted = await result.fetchPage(0, 2, 'price', 'desc');
+    Assert.assertEqual('123.45', sorted.format(1, 0), 'Pages should follow the sort order');
+    const last = await result.fetchPage(2, 2, 'price', 'desc');
+    Assert.assertEqual('-123.45', last.format(1, 0));
+    
+    const exported = await new Engine().exportCSV(result, 'price', 'asc');
+    Assert.assertTrue(exported.success);
+    Assert.assertEqual(3, exported.rows);
+    Assert.assertEqual('2,-123.45', exported.parts.join('').split('\n')[1].slice(0, 9), 'Exports should follow the sort order');
+}, 'unit');
+
+testRunner.test('WASM Engine - Type Overrides', async () => {
+    Assert.assertNull(WasmEngine.checkTypeOverride({ type: 'DECIMAL(10,2)' }));
+    Assert.assertNull(WasmEngine.checkTypeOverride({ type: 'DATE', format: '%d/%m/%Y' }));
+    Assert.assertNotNull(WasmEngine.checkTypeOverride({ type: 'DECIMAL(4,6)' }), 'Scale larger than precision should be rejected');
+    Assert.assertNotNull(WasmEngine.checkTypeOverride({ type: 'INTEGER', format: '%Y' }), 'Only dates and timestamps take a format');
+    Assert.assertNotNull(WasmEngine.checkTypeOverride({ type: 'BLOB' }));
+    
+    Assert.assertEqual('TRY_CAST("a ""b""" AS INTEGER)', WasmEngine.conversionSQL(WasmEngine.quoteIdentifier('a "b"'), { type: 'INTEGER' }, false));
+    Assert.assertEqual(
+        "CAST(strptime(CAST(\"day\" AS VARCHAR), '%d/%m/%Y') AS DATE)",
+        WasmEngine.conversionSQL('"day"', { type: 'DATE', format: '%d/%m/%Y' })
+    );
+    Assert.assertEqual('json', WasmEngine.fileType('events.ndjson'));
+    Assert.assertNull(WasmEngine.fileType('book.xlsx'), 'Excel files need the Pyodide engine');
+}, 'unit');
+
+testRunner.test('WASM Engine - Result Column Names', async () => {
+    Assert.assertEqual('id,name,ID_1,name_1', WasmEngine.uniqueColumnNames(['id', 'name', 'ID', 'name']).join(','), 'Result tables need distinct column names');
+    Assert.assertEqual('a,A_1,a_2,a_1_1', WasmEngine.uniqueColumnNames(['a', 'A', 'a', 'a_1']).join(','), 'Names should match DuckDB\'s own renaming');
+}, 'unit');
+
+testRunner.test('Engine - Scripts Run Statements In Order', async () => {
+    const engine = new Engine();
+    const ran = [];
+    engine.runQuery = async (sql, pageSize, { keepResults }) => {
+        ran.push({ sql, keepResults });
+        return sql.includes('bad')
+            ? { success: false, error: 'Parser Error' }
+            : Engine.localResult(typedColumns(), sql, pageSize);
+    };
+    const statements = SQLScript.split('SELECT 1; SELECT bad; SELECT 3');
+    
+    const stopped = await engine.runScript(statements, 10);
+    Assert.assertEqual(2, stopped.length, 'Should stop at the first error by default');
+    Assert.assertEqual('Parser Error', stopped[1].result.error);
+    Assert.assertFalse(ran[0].keepResults, 'The first statement should replace earlier results');
+    Assert.assertTrue(ran[1].keepResults, 'Later statements should keep the script\'s earlier results');
+    
+    const all = await engine.runScript(statements, 10, { stopOnError: false });
+    Assert.assertEqual(3, all.length, 'Should run every statement when continuing past errors');
+    Assert.assertEqual(3, all[2].result.rows);
+    Assert.assertTrue(all[2].elapsed >= 0, 'Each statement should be timed');
+}, 'unit');
+
+testRunner.test('Engine - Parameters Bound Per Statement', async () => {
+    const parameters = {
+        start_date: { type: 'date', value: '2024-01-01' },
+        region: { type: 'text', value: "north'; DROP TABLE sales; --" }
+    };
+    
+    const bound = Engine.bindParameters('SELECT * FROM sales WHERE day >= :start_date AND region = $region', parameters, name => '$' + name);
+    Assert.assertEqual('SELECT * FROM sales WHERE day >= $start_date AND region = $region', bound.sql);
+    Assert.assertEqual(parameters.region, bound.values.region, 'Values should be passed to the engine, not pasted into the SQL');
+    
+    const unused = Engine.bindParameters('SELECT 1', parameters, () => '?');
+    Assert.assertEqual(0, Object.keys(unused.values).length, 'Statements should only get the values they use');
+    Assert.assertThrows(() => Engine.bindParameters('SELECT :missing', parameters, () => '?'), 'A parameter without a value should fail');
+    
+    Assert.assertEqual(2.5, WasmEngine.parameterValue({ type: 'number', value: '2.5' }));
+    Assert.assertNull(WasmEngine.parameterValue({ type: 'date', value: '' }), 'Empty values should be NULL');
+    Assert.assertEqual('', WasmEngine.parameterValue({ type: 'text', value: '' }), 'Empty text should stay an empty string');
+    
+    const large = { type: 'number', value: '9007199254740993' };
+    Assert.assertEqual('9007199254740993', WasmEngine.parameterValue(large), 'Integers past 2^53 should keep every digit');
+    Assert.assertEqual('CAST(? AS HUGEINT)', WasmEngine.parameterPlaceholder(large));
+    Assert.assertEqual('?', WasmEngine.parameterPlaceholder({ type: 'number', value: '42' }));
+    Assert.assertEqual('CAST(? AS DATE)', WasmEngine.parameterPlaceholder({ type: 'date', value: '2024-01-31' }));
+}, 'unit');
+
+testRunner.test('Engine - Explain Reads The Plan', async () => {
+    const engine = new Engine();
+    let ran = null;
+    engine.runQuery = async (sql, pageSize, options) => {
+        ran = { sql, options };
+        const plan = JSON.stringify([{ name: 'SEQ_SCAN', children: [], extra_info: { Table: 'sales', 'Estimated Cardinality': '120' } }]);
+        const batch = new ColumnBatch([
+            { name: 'explain_key', kind: 'string', vector: { get: () => 'physical_plan' } },
+            { name: 'explain_value', kind: 'string', vector: { get: () => plan } }
+        ], 1);
+        return Engine.localResult(batch, sql, pageSize);
+    };
+    
+    const explained = await engine.explain('SELECT * FROM sales WHERE region = :region', { parameters: { region: { type: 'text', value: 'north' } } });
+    Assert.assertTrue(explained.success);
+    Assert.assertEqual('EXPLAIN (FORMAT JSON) SELECT * FROM sales WHERE region = :region', ran.sql);
+    Assert.assertTrue(ran.options.keepResults, 'Explaining should keep the current results pageable');
+    Assert.assertEqual('north', ran.options.parameters.region.value);
+    Assert.assertEqual(120, explained.plan.root.estimated);
+    
+    await engine.explain('SELECT 1', { analyze: true });
+    Assert.assertEqual('EXPLAIN (ANALYZE, FORMAT JSON) SELECT 1', ran.sql);
+}, 'unit');
+
 // SQL Editor Tests
 testRunner.test('SQL Editor - Initialization', async () => {
     // Create a temporary container for the editor
@@ -208,6 +389,536 @@ testRunner.test('SQL Editor - Table Management', async () => {
     document.body.removeChild(container);
 }, 'unit');
 
+// File Handler Tests
+testRunner.test('File Handler - Supported File Types', async () => {
+    const container = document.createElement('div');
+    container.id = 'dropzone';
+    document.body.appendChild(container);
+    
+    const fileHandler = new FileHandler(new DuckDBManager());
+    
+    Assert.assertTrue(fileHandler.isSupportedFile('data.csv'), 'Should accept CSV files');
+    Assert.assertTrue(fileHandler.isSupportedFile('DATA.PARQUET'), 'Should accept Parquet files case-insensitively');
+    Assert.assertFalse(fileHandler.isSupportedFile('notes.txt'), 'Should reject unsupported files');
+    
+    const parquetFile = new File([new Uint8Array([80, 65, 82, 49])], 'events.parquet');
+    Assert.assertTrue(fileHandler.validateFile(parquetFile), 'Parquet file should pass validation');
+    
+    document.body.removeChild(container);
+    document.body.removeChild(fileHandler.fileInput);
+}, 'unit');
+
+testRunner.test('File Handler - Schema Changes On Replace', async () => {
+    const container = document.createElement('div');
+    container.id = 'dropzone';
+    document.body.appendChild(container);
+    
+    const fileHandler = new FileHandler(new DuckDBManager());
+    const before = {
+        columns: [
+            { column_name: 'id', column_type: 'BIGINT' },
+            { column_name: 'amount', column_type: 'BIGINT' },
+            { column_name: 'region', column_type: 'VARCHAR' }
+        ],
+        rowCount: 100
+    };
+    const after = {
+        columns: [
+            { column_name: 'id', column_type: 'BIGINT' },
+            { column_name: 'amount', column_type: 'DOUBLE' },
+            { column_name: 'channel', column_type: 'VARCHAR' }
+        ],
+        rowCount: 120
+    };
+    
+    const changes = fileHandler.compareSchemas(before, after);
+    Assert.assertEqual('channel', changes.added.join(','));
+    Assert.assertEqual('region', changes.removed.join(','));
+    Assert.assertLength(changes.retyped, 1);
+    Assert.assertEqual('amount', changes.retyped[0].column);
+    Assert.assertEqual('BIGINT', changes.retyped[0].oldType);
+    Assert.assertEqual('DOUBLE', changes.retyped[0].newType);
+    Assert.assertEqual(20, changes.rowDelta);
+    
+    const unchanged = fileHandler.compareSchemas(before, before);
+    Assert.assertLength(unchanged.added.concat(unchanged.removed, unchanged.retyped), 0, 'Identical schemas should report no changes');
+    
+    document.body.removeChild(container);
+    document.body.removeChild(fileHandler.fileInput);
+}, 'unit');
+
+// Archive Reader Tests
+testRunner.test('Archive Reader - Gzip Round Trip', async () => {
+    const reader = new ArchiveReader(1024 * 1024);
+    const csv = TestUtils.createSampleCSV(3);
+    
+    Assert.assertTrue(reader.isArchive('sales.csv.gz'), 'Should recognise gzip files');
+    Assert.assertTrue(reader.isArchive('export.ZIP'), 'Should recognise zip files case-insensitively');
+    Assert.assertFalse(reader.isArchive('sales.csv'), 'Should not treat CSV as an archive');
+    
+    const compressed = await new Response(
+        new Blob([csv]).stream().pipeThrough(new CompressionStream('gzip'))
+    ).blob();
+    const file = await reader.gunzip(new File([compressed], 'sales.csv.gz'));
+    
+    Assert.assertEqual('sales.csv', file.name);
+    Assert.assertEqual(csv, await file.text(), 'Decompressed content should match');
+}, 'unit');
+
+testRunner.test('Archive Reader - Zip Entries', async () => {
+    const reader = new ArchiveReader(1024 * 1024);
+    const zip = TestUtils.createZipFile({
+        'data/users.csv': TestUtils.createSampleCSV(2),
+        'readme.txt': 'not a table',
+        '__MACOSX/data/._users.csv': ''
+    });
+    
+    const entries = await reader.listZipEntries(zip);
+    Assert.assertLength(entries, 2, 'Should skip macOS resource forks');
+    Assert.assertEqual('users.csv', entries[0].name);
+    Assert.assertEqual('data/users.csv', entries[0].path);
+    
+    const file = await reader.extractZipEntry(zip, entries[0]);
+    Assert.assertEqual(TestUtils.createSampleCSV(2), await file.text(), 'Extracted content should match');
+}, 'unit');
+
+testRunner.test('Archive Reader - Zip Listing Reads Only The Directory', async () => {
+    const reader = new ArchiveReader(1024 * 1024);
+    const zip = TestUtils.createZipFile({ 'a.csv': TestUtils.createSampleCSV(50), 'b.csv': TestUtils.createSampleCSV(2) });
+    const reads = [];
+    const archive = {
+        name: zip.name,
+        size: zip.size,
+        slice: (start, end) => {
+            reads.push([start, end]);
+            return zip.slice(start, end);
+        },
+        arrayBuffer: () => Promise.reject(new Error('The whole archive should not be read'))
+    };
+    
+    const entries = await reader.listZipEntries(archive);
+    Assert.assertEqual('a.csv,b.csv', entries.map(entry => entry.name).join(','));
+    Assert.assertLength(reads, 2, 'Should read the end record, then the central directory');
+}, 'unit');
+
+testRunner.test('Archive Reader - Size Limit', async () => {
+    const reader = new ArchiveReader(100);
+    const csv = TestUtils.createSampleCSV(20);
+    
+    const zip = TestUtils.createZipFile({ 'big.csv': csv });
+    const entries = await reader.listZipEntries(zip);
+    Assert.assertTrue(entries[0].tooLarge, 'Entry over the limit should be flagged');
+    await Assert.assertThrowsAsync(() => reader.extractZipEntry(zip, entries[0]), 'Should refuse oversized entries');
+    
+    const compressed = await new Response(
+        new Blob([csv]).stream().pipeThrough(new CompressionStream('gzip'))
+    ).blob();
+    await Assert.assertThrowsAsync(() => reader.gunzip(new File([compressed], 'big.csv.gz')), 'Should stop decompressing past the limit');
+}, 'unit');
+
+// Chunked Uploader Tests
+testRunner.test('Chunked Uploader - Chunks and Progress', async () => {
+    const uploader = new ChunkedUploader({ chunkSize: 10 });
+    const csv = TestUtils.createSampleCSV(3);
+    const file = TestUtils.createCSVFile(csv);
+    
+    const chunks = [];
+    const progress = [];
+    const bytesRead = await uploader.upload(file, chunk => chunks.push(chunk), {
+        onProgress: (loaded, total) => progress.push([loaded, total])
+    });
+    
+    Assert.assertEqual(csv.length, bytesRead, 'Should read the whole file');
+    Assert.assertEqual(Math.ceil(csv.length / 10), chunks.length, 'Should read in 10 byte chunks');
+    Assert.assertEqual(csv, new TextDecoder().decode(new Uint8Array(await new Blob(chunks).arrayBuffer())), 'Chunks should reassemble to the file');
+    Assert.assertEqual(csv.length, progress[progress.length - 1][0], 'Final progress should cover the whole file');
+}, 'unit');
+
+testRunner.test('Chunked Uploader - Transform and Cancel', async () => {
+    const uploader = new ChunkedUploader({ chunkSize: 8 });
+    const file = TestUtils.createCSVFile(TestUtils.createSampleCSV(5));
+    
+    // Transcoding split across chunk boundaries must not corrupt multi-byte characters
+    const decoder = new TextDecoder('utf-8');
+    let text = '';
+    const accented = TestUtils.createCSVFile('name\nJosé,Zoë,Ångström\n');
+    await uploader.upload(accented, chunk => { text += decoder.decode(chunk, { stream: true }); }, {
+        transform: chunk => chunk
+    });
+    Assert.assertEqual('name\nJosé,Zoë,Ångström\n', text + decoder.decode(), 'Multi-byte characters should survive chunking');
+    
+    let written = 0;
+    let cancelError = null;
+    try {
+        await uploader.upload(file, () => {
+            written++;
+            uploader.cancel();
+        });
+    } catch (error) {
+        cancelError = error;
+    }
+    
+    Assert.assertNotNull(cancelError, 'Cancelled upload should throw');
+    Assert.assertEqual('AbortError', cancelError.name);
+    Assert.assertEqual(1, written, 'No chunks should be written after cancelling');
+}, 'unit');
+
+testRunner.test('Chunked Uploader - Default Size Limit', async () => {
+    const limit = ChunkedUploader.defaultMaxFileSize();
+    const MB = 1024 * 1024;
+    
+    Assert.assertTrue(limit >= 64 * MB, 'Default limit should be at least 64MB');
+    Assert.assertTrue(limit <= 1024 * MB, 'Default limit should be at most 1GB');
+    Assert.assertEqual(0, limit % (64 * MB), 'Default limit should be a multiple of 64MB');
+}, 'unit');
+
+// SQL Script Tests
+testRunner.test('SQL Script - Splitting Statements', async () => {
+    const statements = SQLScript.split(`CREATE TEMP TABLE recent AS SELECT * FROM orders;
+-- totals; per day
+SELECT 'a;b' AS "x;y", day FROM recent; /* done; */
+SELECT $$semi;colon$$, $1;
+  ;`);
+    
+    Assert.assertEqual(3, statements.length, 'Semicolons in strings, names, comments and dollar quotes should not split');
+    Assert.assertEqual('CREATE TEMP TABLE recent AS SELECT * FROM orders', statements[0].sql);
+    Assert.assertEqual(3, statements[1].line, 'Statements should start on their first line of code');
+    Assert.assertTrue(statements[2].sql.endsWith('\nSELECT $$semi;colon$$, $1'), 'A comment before a statement should go with it');
+    Assert.assertEqual(4, statements[2].line);
+    Assert.assertEqual(1, SQLScript.split("SELECT 'it''s; one'").length, 'Doubled quotes should stay inside the string');
+    Assert.assertEqual(0, SQLScript.split('-- nothing to run;').length, 'Comment-only statements should be left out');
+    Assert.assertEqual('SELECT * FROM t', SQLScript.label('-- note\nSELECT *\n  FROM t'));
+}, 'unit');
+
+testRunner.test('SQL Script - Named Parameters', async () => {
+    const sql = `SELECT day::DATE, ':not_me', $$:nor_me$$, $1, tags[1:n] -- :or_me
+FROM sales WHERE day >= :start_date AND region = $region AND day < :start_date + 7`;
+    
+    const names = SQLScript.parameters(sql);
+    Assert.assertEqual('start_date,region', names.join(','), 'Casts, strings, comments, $1 and slices should not be parameters');
+    Assert.assertEqual(3, SQLScript.findParameters(sql).length, 'Each use should be found');
+    
+    Assert.assertEqual(0, SQLScript.findParameters(`SELECT tags[i:n], tags[:n], tags[2 :n], {'k':v, "j" :w}`).length, 'Slices and struct keys should not be parameters');
+    Assert.assertEqual('low,high,v', SQLScript.parameters("SELECT [:low, :high], {'k': :v}").join(','), 'Lists and struct values can hold parameters');
+    Assert.assertEqual(
+        'SELECT * FROM t WHERE a = ? AND b = ?',
+        SQLScript.replaceParameters('SELECT * FROM t WHERE a = :a AND b = $b', () => '?')
+    );
+}, 'unit');
+
+// Query Parameters Tests
+testRunner.test('Query Parameters - Remembered Values And Types', async () => {
+    const stored = {};
+    const storage = { getItem: key => stored[key] ?? null, setItem: (key, value) => { stored[key] = value; } };
+    const parameters = new QueryParameters(storage);
+    
+    const first = parameters.load(['start_date', 'region', 'row_limit', 'created_at']);
+    Assert.assertEqual('date,text,number,timestamp', first.map(parameter => parameter.type).join(','), 'Types should be guessed from the names');
+    Assert.assertEqual('', first[1].value);
+    
+    parameters.save({ region: { type: 'text', value: 'north' } });
+    parameters.save({ start_date: { type: 'date', value: '2024-01-01' } });
+    const again = new QueryParameters(storage).load(['region', 'start_date']);
+    Assert.assertEqual('north', again[0].value, 'Values should be remembered across saves');
+    Assert.assertEqual('2024-01-01', again[1].value);
+    
+    Assert.assertNull(QueryParameters.validate({ type: 'number', value: '-1.5e3' }));
+    Assert.assertNull(QueryParameters.validate({ type: 'date', value: '' }), 'An empty value should be allowed as NULL');
+    Assert.assertNull(QueryParameters.validate({ type: 'timestamp', value: '2024-01-01T09:30' }));
+    Assert.assertNotNull(QueryParameters.validate({ type: 'number', value: '12abc' }));
+    Assert.assertNotNull(QueryParameters.validate({ type: 'date', value: '01/02/2024' }));
+}, 'unit');
+
+// Query Plan Tests
+testRunner.test('Query Plan - Profiled Operators', async () => {
+    const scan = (table, rows, seconds) => ({
+        operator_name: 'TABLE_SCAN', operator_cardinality: rows, operator_timing: seconds, children: [],
+        extra_info: { Table: table, Projections: ['id', 'region'], 'Estimated Cardinality': '1000' }
+    });
+    const profile = JSON.stringify({
+        latency: 0.05,
+        children: [{
+            operator_name: 'EXPLAIN_ANALYZE', operator_timing: 0, children: [{
+                operator_name: 'HASH_JOIN', operator_cardinality: 900, operator_timing: 0.03,
+                extra_info: { 'Join Type': 'INNER', Conditions: 'id = id', 'Estimated Cardinality': '~2,000' },
+                children: [scan('orders', 1000, 0.015), scan('regions', 10, 0.0001)]
+            }]
+        }]
+    });
+    
+    const plan = QueryPlan.fromJSON(profile, true);
+    Assert.assertEqual('HASH_JOIN', plan.root.name, 'The query and EXPLAIN_ANALYZE wrappers should be skipped');
+    Assert.assertEqual('INNER', plan.root.label);
+    Assert.assertEqual(2000, plan.root.estimated);
+    Assert.assertEqual(900, plan.root.actual);
+    Assert.assertEqual(0.05, plan.totalTime);
+    Assert.assertEqual('orders', plan.root.children[0].label);
+    Assert.assertEqual('id, region', plan.root.children[0].details.find(([key]) => key === 'Projections')[1]);
+    Assert.assertFalse(plan.root.children[0].details.some(([key]) => key === 'Estimated Cardinality'), 'Estimates should not repeat in the details');
+    Assert.assertTrue(plan.root.share > 0.6 && plan.root.share < 0.7, 'Each operator should get its share of the time');
+    Assert.assertEqual('1,000 rows', plan.describeStats(plan.root.children[0]).split(' · ')[1]);
+    Assert.assertEqual('3.2 ms', QueryPlan.formatTime(0.0032));
+    
+    plan.markHottest(1);
+    Assert.assertTrue(plan.root.hot, 'The slowest operator should be highlighted');
+    Assert.assertFalse(plan.root.children[0].hot);
+    
+    // Older DuckDB versions send extra_info as text
+    const old = QueryPlan.fromJSON(JSON.stringify([{ name: 'SEQ_SCAN ', children: [], extra_info: 'sales\n------\nEC: 42' }]));
+    Assert.assertEqual('SEQ_SCAN', old.root.name);
+    Assert.assertEqual(42, old.root.estimated);
+    Assert.assertNull(old.root.actual);
+    Assert.assertEqual('sales', old.root.details[0][1]);
+}, 'unit');
+
+// Table Names Tests
+testRunner.test('Table Names - Derived From File Names', async () => {
+    Assert.assertEqual('sales_data', TableNames.fromFileName('Sales Data.csv'));
+    Assert.assertEqual('q1_report', TableNames.fromFileName('Q1-Report.csv.gz'));
+    Assert.assertEqual('t_2024_export', TableNames.fromFileName('2024 export.parquet'), 'Names must not start with a digit');
+    Assert.assertEqual('crm_backup', TableNames.fromFileName('crm-backup.sqlite3'), 'Database files are named without their extension');
+    Assert.assertEqual('order_data', TableNames.fromFileName('order.csv'), 'Reserved words get a suffix');
+    Assert.assertEqual('data', TableNames.fromFileName('###.csv'), 'Names with no usable characters fall back to "data"');
+    Assert.assertEqual('sales_3', TableNames.fromFileName('sales.csv', ['sales', 'SALES_2']), 'Taken names get a numeric suffix');
+}, 'unit');
+
+testRunner.test('Table Names - Validation', async () => {
+    Assert.assertNull(TableNames.validate('customers', ['orders']));
+    Assert.assertNotNull(TableNames.validate('2020_sales'), 'Leading digit should be rejected');
+    Assert.assertNotNull(TableNames.validate('my table'), 'Spaces should be rejected');
+    Assert.assertNotNull(TableNames.validate('select'), 'Reserved words should be rejected');
+    Assert.assertNotNull(TableNames.validate('Orders', ['orders']), 'Duplicates should be rejected case-insensitively');
+}, 'unit');
+
+testRunner.test('Table Names - Replace References In Queries', async () => {
+    const sql = `-- t1 is the orders file
+SELECT t1.id, 't1' AS label, x.t1, t10.id
+FROM t1 JOIN T1 ON true JOIN "t1" q ON true, t10`;
+    const expected = `-- t1 is the orders file
+SELECT orders.id, 't1' AS label, x.t1, t10.id
+FROM orders JOIN orders ON true JOIN "orders" q ON true, t10`;
+    
+    Assert.assertEqual(expected, TableNames.replaceReferences(sql, 't1', 'orders'));
+}, 'unit');
+
+testRunner.test('Table Names - Replace Leaves Columns Named Like The Table', async () => {
+    Assert.assertEqual(
+        'SELECT region, SUM(x) FROM regions GROUP BY region',
+        TableNames.replaceReferences('SELECT region, SUM(x) FROM region GROUP BY region', 'region', 'regions')
+    );
+    Assert.assertEqual(
+        'SELECT r.region FROM sales, regions r JOIN (SELECT region FROM regions) s ON regions.id = s.region',
+        TableNames.replaceReferences('SELECT r.region FROM sales, region r JOIN (SELECT region FROM region) s ON region.id = s.region', 'region', 'regions'),
+        'Tables later in a FROM list, in subqueries and as qualifiers should be renamed'
+    );
+}, 'unit');
+
+testRunner.test('Table Names - Find References In Queries', async () => {
+    const sql = `-- regions is joined below
+SELECT o.id, 'customers' AS label, x.products FROM Orders o JOIN "regions" r ON true`;
+    
+    const found = TableNames.findReferences(sql, ['orders', 'regions', 'customers', 'products']);
+    Assert.assertEqual('orders,regions', found.join(','), 'Comments, strings and qualified names should not count');
+    
+    const attached = TableNames.findReferences(
+        'SELECT o.id, shop."Order Items".qty FROM shop.orders o JOIN shop."Order Items" ON true WHERE region = 1',
+        ['shop.orders', 'shop."Order Items"', 'orders', 'region']
+    );
+    Assert.assertEqual('shop.orders,shop."Order Items"', attached.join(','), 'Tables of attached databases should match by their full name, not columns');
+}, 'unit');
+
+// Query History Tests
+testRunner.test('Query History - Entries And Filters', async () => {
+    const ok = QueryHistory.entry('SELECT region, SUM(amount) FROM sales GROUP BY region', { success: true, rows: 4 }, 12.6, ['sales']);
+    const failed = QueryHistory.entry('SELECT * FROM returns', { success: false, error: 'Catalog Error: Table returns does not exist' }, 3, []);
+    
+    Assert.assertEqual(13, ok.duration);
+    Assert.assertEqual(4, ok.rows);
+    Assert.assertNull(ok.error);
+    Assert.assertNull(failed.rows);
+    Assert.assertTrue(failed.executedAt > 0);
+    
+    Assert.assertTrue(QueryHistory.matches(ok, { search: 'sum REGION' }), 'Every search word should match, in any case');
+    Assert.assertFalse(QueryHistory.matches(ok, { search: 'sum orders' }));
+    Assert.assertTrue(QueryHistory.matches(failed, { search: 'catalog' }), 'Errors should be searchable');
+    Assert.assertFalse(QueryHistory.matches(ok, { failedOnly: true }));
+    Assert.assertTrue(QueryHistory.matches(failed, { failedOnly: true }));
+    Assert.assertTrue(QueryHistory.matches(ok, { table: 'SALES' }));
+    Assert.assertFalse(QueryHistory.matches(failed, { table: 'sales' }));
+    Assert.assertTrue(QueryHistory.matches(failed, {}), 'No filters should match everything');
+    Assert.assertEqual('a,sales', QueryHistory.tables([ok, failed, { tables: ['a', 'sales'] }]).join(','));
+}, 'unit');
+
+// Cell Range Tests
+testRunner.test('Cell Range - Parse Ranges', async () => {
+    const range = CellRange.parse('B5:K200');
+    Assert.assertEqual(5, range.firstRow);
+    Assert.assertEqual(200, range.lastRow);
+    Assert.assertEqual(2, range.firstColumn);
+    Assert.assertEqual(11, range.lastColumn);
+    
+    const openEnded = CellRange.parse('c3');
+    Assert.assertEqual(3, openEnded.firstColumn, 'Lower-case references should be accepted');
+    Assert.assertNull(openEnded.lastRow, 'A single cell should run to the end of the sheet');
+    Assert.assertNull(openEnded.lastColumn);
+    
+    Assert.assertEqual(1, CellRange.parse('').firstRow, 'Blank means the whole sheet');
+    Assert.assertThrows(() => CellRange.parse('5B'), 'Malformed references should be rejected');
+    Assert.assertThrows(() => CellRange.parse('B200:K5'), 'Rows out of order should be rejected');
+    
+    Assert.assertTrue(CellRange.contains(range, 5, 2));
+    Assert.assertFalse(CellRange.contains(range, 4, 2), 'Rows above the range are outside it');
+    Assert.assertFalse(CellRange.contains(range, 10, 12), 'Columns right of the range are outside it');
+}, 'unit');
+
+testRunner.test('Cell Range - Column Letters And Lists', async () => {
+    Assert.assertEqual('A', CellRange.columnLetter(1));
+    Assert.assertEqual('AA', CellRange.columnLetter(27));
+    Assert.assertEqual('ZZ', CellRange.columnLetter(702));
+    Assert.assertEqual(703, CellRange.columnIndex('AAA'));
+    
+    Assert.assertEqual('C,F,G,H', CellRange.parseColumnList('c, F:H, G').join(','), 'Spans should expand without duplicates');
+    Assert.assertLength(CellRange.parseColumnList(' '), 0);
+    Assert.assertThrows(() => CellRange.parseColumnList('C, 4'), 'Non-column entries should be rejected');
+}, 'unit');
+
+// Pasted Text Tests
+testRunner.test('Pasted Text - Quoted Cells', async () => {
+    const { rows } = PastedText.parse('name,note\n"Smith, J","said ""hi""\nthen left"\n');
+    Assert.assertLength(rows, 2, 'A line break inside quotes should not start a row');
+    Assert.assertEqual('Smith, J', rows[1][0], 'Quoted separators should stay in the cell');
+    Assert.assertEqual('said "hi"\nthen left', rows[1][1], 'Doubled quotes should become one quote');
+    
+    const midCell = PastedText.parseDelimited('5" pipe,x', ',');
+    Assert.assertEqual('5" pipe', midCell[0][0], 'A quote after the start of a cell should be kept as text');
+}, 'unit');
+
+testRunner.test('Pasted Text - Line Endings And Ragged Rows', async () => {
+    const { rows } = PastedText.parse('a\tb\r\n1\t2\r\n3\r\n\r\n');
+    Assert.assertLength(rows, 3, 'CRLF breaks and trailing blank lines should not add rows');
+    Assert.assertEqual('b', rows[0][1], 'Cells should not keep a carriage return');
+    Assert.assertEqual('3,', rows[2].join(','), 'Short rows should be padded to the widest row');
+    
+    const widest = PastedText.parse('a,b\n1,2,3,4').rows;
+    Assert.assertEqual('a,b,,', widest[0].join(','), 'Rows should be padded to the widest row, not the first');
+    
+    Assert.assertLength(PastedText.parse(' \n\n').rows, 0, 'Blank text should give no rows');
+}, 'unit');
+
+testRunner.test('Pasted Text - Separator Choice', async () => {
+    Assert.assertEqual('\t', PastedText.parse('a,b\tc;d').delimiter, 'A tab on the first line should win');
+    Assert.assertEqual(',', PastedText.parse('a,b,c\n1,2,3').delimiter);
+    Assert.assertEqual(';', PastedText.parse('a;b;c,d\n1;2;3,4').delimiter, 'The most frequent separator should win');
+    Assert.assertEqual('|', PastedText.parse('a|b|c\n1|2|3').delimiter);
+    Assert.assertEqual(',', PastedText.parse('single\nvalue').delimiter, 'A comma should be the fallback');
+    Assert.assertEqual('x;y', PastedText.parse('a,b;c\n"x;y",z').rows[1][0]);
+}, 'unit');
+
+testRunner.test('Pasted Text - Header Detection', async () => {
+    Assert.assertTrue(PastedText.looksLikeHeader(PastedText.parse('name\tage\nAnn\t31').rows));
+    Assert.assertFalse(PastedText.looksLikeHeader(PastedText.parse('2024\tAnn\n2025\tBob').rows), 'Numeric first rows are data');
+    Assert.assertFalse(PastedText.looksLikeHeader(PastedText.parse('"1,200"\tx\n3\ty').rows), 'Numbers with thousands separators are data');
+    Assert.assertFalse(PastedText.looksLikeHeader(PastedText.parse('x\tx\n1\t2').rows), 'Duplicate names are not a header');
+    Assert.assertFalse(PastedText.looksLikeHeader(PastedText.parse('name\t\nAnn\t31').rows), 'Empty names are not a header');
+    Assert.assertFalse(PastedText.looksLikeHeader(PastedText.parse('name\tage').rows), 'A single row is not a header');
+}, 'unit');
+
+// Encoding Detector Tests
+testRunner.test('Encoding Detector - Byte Order Marks', async () => {
+    const utf8 = EncodingDetector.detect(new Uint8Array([0xEF, 0xBB, 0xBF, 0x61]));
+    Assert.assertEqual('utf-8', utf8.encoding);
+    Assert.assertEqual('bom', utf8.method);
+    Assert.assertEqual('utf-16le', EncodingDetector.detect(new Uint8Array([0xFF, 0xFE, 0x61, 0x00])).encoding);
+    Assert.assertEqual('utf-16be', EncodingDetector.detect(new Uint8Array([0xFE, 0xFF, 0x00, 0x61])).encoding);
+}, 'unit');
+
+testRunner.test('Encoding Detector - UTF-16 Without BOM', async () => {
+    const ascii = Array.from('name,age\nAnn,31\n', char => char.charCodeAt(0));
+    const littleEndian = EncodingDetector.detect(new Uint8Array(ascii.flatMap(code => [code, 0])));
+    Assert.assertEqual('utf-16le', littleEndian.encoding, 'Zeros in odd positions should mean little-endian');
+    Assert.assertEqual('heuristic', littleEndian.method);
+    Assert.assertEqual('utf-16be', EncodingDetector.detect(new Uint8Array(ascii.flatMap(code => [0, code]))).encoding);
+}, 'unit');
+
+testRunner.test('Encoding Detector - UTF-8 And Legacy Encodings', async () => {
+    const utf8 = new TextEncoder().encode('city\nKöln\n東京');
+    Assert.assertEqual('utf-8', EncodingDetector.detect(utf8).encoding);
+    Assert.assertEqual('utf-8', EncodingDetector.detect(utf8.subarray(0, utf8.length - 1)).encoding,
+        'A character cut off at the end of the sample should not rule out UTF-8');
+    
+    // 日本語,東京 in Shift-JIS
+    const shiftJIS = new Uint8Array([0x93, 0xFA, 0x96, 0x7B, 0x8C, 0xEA, 0x2C, 0x93, 0x8C, 0x8B, 0x9E]);
+    Assert.assertEqual('shift_jis', EncodingDetector.detect(shiftJIS).encoding);
+    
+    // café,Müller in Windows-1252; ü followed by l is a weak Shift-JIS pair
+    const latin = new Uint8Array([0x63, 0x61, 0x66, 0xE9, 0x2C, 0x4D, 0xFC, 0x6C, 0x6C, 0x65, 0x72]);
+    Assert.assertFalse(EncodingDetector.looksLikeShiftJIS(latin), 'Accented Latin text should not read as Shift-JIS');
+    Assert.assertEqual('windows-1252', EncodingDetector.detect(latin).encoding);
+}, 'unit');
+
+testRunner.test('Encoding Detector - Transcoder', async () => {
+    const decode = bytes => new TextDecoder().decode(bytes);
+    
+    const split = EncodingDetector.createTranscoder('utf-8');
+    const text = decode(split.transform(new Uint8Array([0xEF, 0xBB, 0xBF, 0x61, 0xC3]), false)) +
+        decode(split.transform(new Uint8Array([0xA9]), true));
+    Assert.assertEqual('aé', text, 'The BOM should be stripped and a character split across chunks kept whole');
+    Assert.assertEqual(0, split.replacementCount);
+    
+    const broken = EncodingDetector.createTranscoder('utf-8');
+    broken.transform(new Uint8Array([0x61, 0xFF, 0x62, 0xFE]), false);
+    broken.transform(new Uint8Array([0x63, 0xE2, 0x82]), true);
+    Assert.assertEqual(3, broken.replacementCount, 'Invalid bytes and a truncated final character should be counted');
+    
+    const latin = EncodingDetector.createTranscoder('windows-1252');
+    Assert.assertEqual('café', decode(latin.transform(new Uint8Array([0x63, 0x61, 0x66, 0xE9]), true)));
+    Assert.assertEqual(0, latin.replacementCount);
+}, 'unit');
+
+testRunner.test('Encoding Detector - Read Sample', async () => {
+    const small = await EncodingDetector.readSample(new Blob(['a,b\n1,2\n']));
+    Assert.assertEqual(8, small.length);
+    
+    const large = await EncodingDetector.readSample(new Blob([new Uint8Array(1024 * 1024 + 10)]));
+    Assert.assertEqual(1024 * 1024, large.length, 'Only the first megabyte should be read');
+}, 'unit');
+
+// Column Types Tests
+testRunner.test('Column Types - Build Overrides', async () => {
+    Assert.assertEqual('DECIMAL(10,2)', ColumnTypes.buildOverride('DECIMAL', '10, 2').type);
+    Assert.assertEqual('DECIMAL(18,3)', ColumnTypes.buildOverride('DECIMAL', '').type, 'DECIMAL should default to 18,3');
+    Assert.assertEqual('%d/%m/%Y', ColumnTypes.buildOverride('DATE', '%d/%m/%Y').format);
+    
+    Assert.assertThrows(() => ColumnTypes.buildOverride('DECIMAL', '4,6'), 'Scale larger than precision should be rejected');
+    Assert.assertThrows(() => ColumnTypes.buildOverride('INTEGER', '%Y'), 'Only dates and timestamps take a format');
+}, 'unit');
+
+testRunner.test('Engine Client - Forwards Calls', async () => {
+    const client = new EngineClient();
+    const sent = [];
+    // Stand-in worker that answers each call straight away
+    client.worker = {
+        postMessage: (message) => {
+            sent.push(message);
+            const failed = message.method === 'missing';
+            client.settle({ type: failed ? 'error' : 'result', id: message.id, result: { success: true }, error: 'no such method' });
+        }
+    };
+    
+    const result = await client.proxy().execute_query('SELECT 1');
+    Assert.assertEqual('execute_query', sent[0].method);
+    Assert.assertEqual('SELECT 1', sent[0].args[0]);
+    Assert.assertTrue(result.success);
+    Assert.assertEqual(0, client.pending.size, 'Answered calls should not stay pending');
+    
+    let error = null;
+    await client.call('missing').catch(e => { error = e; });
+    Assert.assertEqual('no such method', error && error.message);
+    
+    Assert.assertEqual(undefined, client.proxy().then, 'The proxy should not look like a promise');
+    Assert.assertEqual(false, client.cancel(), 'Nothing is running to cancel');
+}, 'unit');
+
 // Results Table Tests
 testRunner.test('Results Table - Display Results', async () => {
     // Create a temporary container for the results table
@@ -312,6 +1023,64 @@ testRunner.test('Results Table - Sorting', async () => {
     document.body.removeChild(container);
 }, 'unit');
 
+testRunner.test('Results Table - Paged Result Set', async () => {
+    const container = document.createElement('div');
+    container.id = 'test-results-table';
+    document.body.appendChild(container);
+    
+    const resultsTable = new ResultsTable();
+    resultsTable.container = container;
+    resultsTable.pageSize = 2;
+    
+    // Stand-in for the engine's result handle: 5 rows, fetched a page at a time
+    const allRows = [5, 3, 1, 4, 2].map(id => ({ id, name: `User${id}` }));
+    const requests = [];
+    const fetchPage = async (offset, limit, sortColumn, sortDirection) => {
+        requests.push({ offset, limit, sortColumn, sortDirection });
+        const rows = sortColumn ? [...allRows].sort((a, b) => sortDirection === 'asc' ? a.id - b.id : b.id - a.id) : allRows;
+        return rows.slice(offset, offset + limit);
+    };
+    
+    await resultsTable.displayResultSet({ rows: 5, columns: ['id', 'name'], fetchPage });
+    Assert.assertEqual(1, requests.length, 'The first page should be fetched when not supplied');
+    Assert.assertEqual(2, container.querySelectorAll('tbody tr').length, 'Should display one page');
+    Assert.assertTrue(container.textContent.includes('5 rows'), 'Should report the full row count');
+    Assert.assertNull(resultsTable.getCurrentResults(), 'Rows should not be held in memory');
+    
+    await resultsTable.goToPage(3);
+    Assert.assertEqual(4, requests[1].offset, 'Page 3 should start at row 4');
+    Assert.assertEqual(1, container.querySelectorAll('tbody tr').length, 'Last page should hold the remaining row');
+    
+    await resultsTable.sortByColumn('id');
+    Assert.assertEqual('id', requests[2].sortColumn, 'Sorting should be done by the result set');
+    Assert.assertEqual(1, resultsTable.currentPage, 'Sorting should go back to the first page');
+    Assert.assertEqual('1', container.querySelector('tbody td').textContent);
+    
+    document.body.removeChild(container);
+}, 'unit');
+
+testRunner.test('Results Table - Typed Columns', async () => {
+    const container = document.createElement('div');
+    container.id = 'test-results-table';
+    document.body.appendChild(container);
+    
+    const resultsTable = new ResultsTable();
+    resultsTable.container = container;
+    
+    const batch = typedColumns();
+    await resultsTable.displayResultSet({ rows: batch.length, columns: batch.columnNames, data: batch, fetchPage: async () => batch });
+    
+    const rows = container.querySelectorAll('tbody tr');
+    const cells = rows[0].querySelectorAll('td');
+    Assert.assertEqual(9007199254740993n.toLocaleString(), cells[0].textContent, '64-bit integers should display exactly');
+    Assert.assertEqual('number-value', cells[1].className, 'Decimals should align as numbers');
+    Assert.assertEqual('123.45', cells[1].textContent);
+    Assert.assertEqual('2024-01-31', cells[2].textContent);
+    Assert.assertEqual('null-value', rows[1].querySelectorAll('td')[2].className, 'NULL dates should show as NULL');
+    
+    document.body.removeChild(container);
+}, 'unit');
+
 // Test empty/null data handling
 testRunner.test('Results Table - Empty Data', async () => {
     const container = document.createElement('div');